@@ -0,0 +1,119 @@
+"use strict";
+
+const { evalCondition } = require("./conditions");
+
+/**
+ * Priority alert interrupts.
+ *
+ * A rule fires when its ioBroker state changes to a value matching its condition. While active
+ * (for `durationMs`, restarted by every further match), frames for the targeted view/playlist ids
+ * (all ids if `targets` is empty) are redirected to the rule's alert view. If several alerts are
+ * active for the same id, the highest priority wins (ties: the most recently fired).
+ */
+class AlertManager {
+  constructor({ rules, log, onStart, onEnd }) {
+    this.rules = Array.isArray(rules) ? rules : [];
+    this.log = log;
+    this.onStart = onStart;
+    this.onEnd = onEnd;
+    this._active = new Map(); // ruleId -> { rule, since, until, timer }
+  }
+
+  stateIds() {
+    return this.rules.map((r) => r.stateId);
+  }
+
+  handleStateChange(stateId, val) {
+    for (const rule of this.rules) {
+      if (rule.stateId !== stateId) continue;
+      let match = false;
+      try {
+        match = evalCondition(rule.condition, val);
+      } catch {
+        match = false;
+      }
+      if (match) this._fire(rule);
+    }
+  }
+
+  _fire(rule) {
+    const now = Date.now();
+    const cur = this._active.get(rule.id);
+    if (cur) clearTimeout(cur.timer);
+    const entry = {
+      rule,
+      since: now,
+      until: now + rule.durationMs,
+      timer: setTimeout(() => this._end(rule.id), rule.durationMs),
+    };
+    this._active.set(rule.id, entry);
+    if (!cur) {
+      this.log.info(`alert ${rule.id}: showing ${rule.viewId} for ${Math.round(rule.durationMs / 1000)}s`);
+      this._call(this.onStart, rule);
+    }
+  }
+
+  _end(ruleId) {
+    const cur = this._active.get(ruleId);
+    if (!cur) return;
+    clearTimeout(cur.timer);
+    this._active.delete(ruleId);
+    this.log.debug(`alert ${ruleId}: ended`);
+    this._call(this.onEnd, cur.rule);
+  }
+
+  _call(fn, rule) {
+    if (typeof fn !== "function") return;
+    Promise.resolve()
+      .then(() => fn(rule))
+      .catch((e) => this.log.warn(`alert ${rule.id}: ${e && e.message ? e.message : e}`));
+  }
+
+  /**
+   * Highest-priority active alert rule affecting the view/playlist id, or null.
+   * `accept(rule)` limits the candidates (e.g. to alerts whose view is actually rendering).
+   */
+  activeFor(id, accept) {
+    let best = null;
+    for (const a of this._active.values()) {
+      if (typeof accept === "function" && !accept(a.rule)) continue;
+      const t = a.rule.targets;
+      if (t.length && !t.includes(id)) continue;
+      if (a.rule.viewId === id) continue;
+      if (!best || a.rule.priority > best.rule.priority || (a.rule.priority === best.rule.priority && a.since > best.since)) best = a;
+    }
+    return best ? best.rule : null;
+  }
+
+  // Drop an active alert without onEnd (its view could not be shown); it can fire again.
+  discard(ruleId) {
+    const cur = this._active.get(ruleId);
+    if (!cur) return;
+    clearTimeout(cur.timer);
+    this._active.delete(ruleId);
+  }
+
+  isActive(ruleId) {
+    return this._active.has(ruleId);
+  }
+
+  stop() {
+    for (const a of this._active.values()) clearTimeout(a.timer);
+    this._active.clear();
+  }
+
+  getStatus() {
+    return Array.from(this._active.values()).map((a) => ({
+      id: a.rule.id,
+      viewId: a.rule.viewId,
+      priority: a.rule.priority,
+      targets: a.rule.targets,
+      since: a.since,
+      until: a.until,
+    }));
+  }
+}
+
+module.exports = {
+  AlertManager,
+};
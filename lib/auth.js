@@ -0,0 +1,101 @@
+"use strict";
+
+const crypto = require("node:crypto");
+
+/**
+ * Access control for the HTTP and WS endpoints.
+ *
+ * Credentials (query `token=` or `Authorization: Bearer`):
+ * - the shared `authToken`: full access (all views, status, control)
+ * - scoped tokens from the config: allowed view ids (empty = all), status / control access, optional expiry
+ * - signed frame URLs (`exp` + `sig` query parameters): read access to the frames of one view until `exp`;
+ *   signed with a per-start random key, so they stop working after an adapter restart
+ *
+ * Without any token configured everything is open (as before).
+ */
+
+const FULL_ACCESS = Object.freeze({ name: "admin", views: null, status: true, control: true });
+
+function _sign(key, viewId, exp) {
+  return crypto.createHmac("sha256", key).update(`${viewId}\n${exp}`).digest("base64url");
+}
+
+function _safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+class AccessControl {
+  /**
+   * @param {{authToken?:string, tokens?:Array<{name:string,token:string,views:string[],status:boolean,control:boolean,expiresTs:number|null}>, signedUrlTtlMs?:number}} opts
+   */
+  constructor({ authToken, tokens, signedUrlTtlMs } = {}) {
+    this.authToken = String(authToken || "");
+    this.tokens = Array.isArray(tokens) ? tokens : [];
+    this.signedUrlTtlMs = Math.max(1000, Math.floor(Number(signedUrlTtlMs || 300000)));
+    this._key = crypto.randomBytes(32);
+  }
+
+  get enabled() {
+    return !!this.authToken || this.tokens.length > 0;
+  }
+
+  /**
+   * Identify the caller of an HTTP request / WS upgrade.
+   * @returns {{principal?:object, error?:string}} error: "unauthorized" | "token_expired"
+   */
+  authenticate(req, query) {
+    if (!this.enabled) return { principal: FULL_ACCESS };
+    const q = query || {};
+    const hdr = String((req && req.headers && req.headers["authorization"]) || "");
+    const bearer = hdr.toLowerCase().startsWith("bearer ") ? hdr.slice(7).trim() : "";
+    const token = String(q.token || "") || bearer;
+    if (token) {
+      if (this.authToken && _safeEqual(token, this.authToken)) return { principal: FULL_ACCESS };
+      const t = this.tokens.find((x) => _safeEqual(token, x.token));
+      if (!t) return { error: "unauthorized" };
+      if (t.expiresTs !== null && Date.now() >= t.expiresTs) return { error: "token_expired" };
+      return { principal: { name: t.name, views: t.views.length ? new Set(t.views) : null, status: t.status, control: t.control } };
+    }
+    if (q.sig && q.exp) {
+      const exp = Math.floor(Number(q.exp));
+      if (!Number.isFinite(exp)) return { error: "unauthorized" };
+      if (Date.now() >= exp * 1000) return { error: "token_expired" };
+      // The view is only known per route: canView() checks the signature against it.
+      return { principal: { name: "signed", signed: { exp, sig: String(q.sig) }, views: null, status: false, control: false } };
+    }
+    return { error: "unauthorized" };
+  }
+
+  canView(principal, viewId) {
+    if (!principal) return false;
+    const id = String(viewId || "");
+    if (principal.signed) return _safeEqual(principal.signed.sig, _sign(this._key, id, principal.signed.exp));
+    return !principal.views || principal.views.has(id);
+  }
+
+  canStatus(principal) {
+    return !!(principal && principal.status);
+  }
+
+  canControl(principal) {
+    return !!(principal && principal.control);
+  }
+
+  /**
+   * PNG URL of `viewId`, signed (valid for `signedUrlTtlMs`) when access control is enabled.
+   * The signature covers the view id, so any frame format / delta / stream URL of the view accepts it.
+   */
+  frameUrl(viewId) {
+    const id = String(viewId || "");
+    const path = `/frame/${encodeURIComponent(id)}.png`;
+    if (!this.enabled) return path;
+    const exp = Math.ceil((Date.now() + this.signedUrlTtlMs) / 1000);
+    return `${path}?exp=${exp}&sig=${_sign(this._key, id, exp)}`;
+  }
+}
+
+module.exports = {
+  AccessControl,
+};
@@ -0,0 +1,145 @@
+"use strict";
+
+/**
+ * LED-aware colour post-processing for captured frames.
+ *
+ * Browser screenshots are sRGB-ish and meant for backlit screens; HUB75 panels are linear and
+ * usually only resolve 5–6 bits per channel. Stages (in order):
+ * 1. white balance (colour temperature and/or per-channel gains)
+ * 2. gamma curve
+ * 3. brightness scaling (global cap)
+ * 4. colour-depth reduction, optionally dithered (ordered Bayer 4×4 or Floyd–Steinberg)
+ *
+ * All stages work in place on an RGBA buffer; alpha is left untouched.
+ */
+
+const DITHER_MODES = ["none", "ordered", "floyd-steinberg"];
+
+const _BAYER4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+// Approximate RGB multipliers for a black-body white point (Tanner Helland's fit), normalized
+// so that 6500 K is neutral.
+function _kelvinToRgb(kelvin) {
+  const t = Math.min(40000, Math.max(1000, Number(kelvin) || 6500)) / 100;
+  let r;
+  let g;
+  let b;
+  if (t <= 66) {
+    r = 255;
+    g = 99.4708025861 * Math.log(t) - 161.1195681661;
+    b = t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  } else {
+    r = 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    g = 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    b = 255;
+  }
+  const c = (v) => Math.min(255, Math.max(0, v)) / 255;
+  return [c(r), c(g), c(b)];
+}
+
+function whiteBalanceGains({ colorTemperature, gainR, gainG, gainB }) {
+  let k = [1, 1, 1];
+  if (colorTemperature && colorTemperature !== 6500) {
+    const cur = _kelvinToRgb(colorTemperature);
+    const ref = _kelvinToRgb(6500);
+    k = [cur[0] / ref[0], cur[1] / ref[1], cur[2] / ref[2]];
+    const max = Math.max(k[0], k[1], k[2]);
+    k = k.map((v) => v / max);
+  }
+  return [k[0] * (gainR ?? 1), k[1] * (gainG ?? 1), k[2] * (gainB ?? 1)];
+}
+
+/**
+ * True if `opts` changes anything (lets callers skip the decode/encode round trip).
+ */
+function isColorPipelineActive(opts) {
+  if (!opts) return false;
+  const gains = whiteBalanceGains(opts);
+  return (
+    Number(opts.gamma || 1) !== 1 ||
+    Number(opts.brightness ?? 1) !== 1 ||
+    gains.some((g) => g !== 1) ||
+    [opts.bitsR, opts.bitsG, opts.bitsB].some((b) => Number(b || 8) < 8)
+  );
+}
+
+// Per-channel lookup tables for white balance + gamma + brightness (value domain 0..255, float).
+function _buildLuts(opts) {
+  const gamma = Math.max(0.1, Number(opts.gamma || 1));
+  const brightness = Math.min(1, Math.max(0, Number(opts.brightness ?? 1)));
+  const gains = whiteBalanceGains(opts);
+  return gains.map((gain) => {
+    const lut = new Float32Array(256);
+    for (let v = 0; v < 256; v++) {
+      lut[v] = 255 * Math.pow(Math.min(1, (v / 255) * gain), gamma) * brightness;
+    }
+    return lut;
+  });
+}
+
+function _quantize(v, levels) {
+  const step = 255 / (levels - 1);
+  return Math.min(255, Math.max(0, Math.round(Math.round(v / step) * step)));
+}
+
+/**
+ * Apply the colour pipeline in place.
+ * @param {{width:number,height:number,data:Buffer}} img RGBA
+ * @param {object} opts {gamma, brightness, colorTemperature, gainR, gainG, gainB, bitsR, bitsG, bitsB, dither}
+ */
+function applyColorPipeline(img, opts) {
+  const { width, height, data } = img;
+  const luts = _buildLuts(opts);
+  const levels = [opts.bitsR, opts.bitsG, opts.bitsB].map((b) => 1 << Math.min(8, Math.max(1, Math.floor(Number(b || 8)))));
+  const dither = DITHER_MODES.includes(opts.dither) ? opts.dither : "none";
+  const quantize = levels.some((l) => l < 256);
+
+  if (!quantize || dither !== "floyd-steinberg") {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const bias = quantize && dither === "ordered" ? _BAYER4[(y & 3) * 4 + (x & 3)] / 16 - 0.5 : 0;
+        for (let c = 0; c < 3; c++) {
+          const v = luts[c][data[i + c]];
+          data[i + c] = levels[c] < 256 ? _quantize(v + (bias * 255) / (levels[c] - 1), levels[c]) : Math.round(v);
+        }
+      }
+    }
+    return img;
+  }
+
+  // Floyd–Steinberg: error diffusion on a float working copy.
+  const work = new Float32Array(width * height * 3);
+  for (let p = 0, i = 0; p < width * height; p++, i += 4) {
+    work[p * 3] = luts[0][data[i]];
+    work[p * 3 + 1] = luts[1][data[i + 1]];
+    work[p * 3 + 2] = luts[2][data[i + 2]];
+  }
+  const spread = (x, y, c, err, f) => {
+    if (x < 0 || x >= width || y >= height) return;
+    work[(y * width + x) * 3 + c] += err * f;
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      for (let c = 0; c < 3; c++) {
+        const old = work[p * 3 + c];
+        const q = _quantize(old, levels[c]);
+        data[p * 4 + c] = q;
+        const err = old - q;
+        spread(x + 1, y, c, err, 7 / 16);
+        spread(x - 1, y + 1, c, err, 3 / 16);
+        spread(x, y + 1, c, err, 5 / 16);
+        spread(x + 1, y + 1, c, err, 1 / 16);
+      }
+    }
+  }
+  return img;
+}
+
+module.exports = {
+  DITHER_MODES,
+  applyColorPipeline,
+  isColorPipelineActive,
+  whiteBalanceGains,
+};
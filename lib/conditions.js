@@ -0,0 +1,71 @@
+"use strict";
+
+/**
+ * Tiny condition language for config entries that depend on ioBroker states.
+ *
+ * Syntax: `<stateId>` (truthy) or `<stateId> <op> <value>` with op one of
+ * `==`, `!=`, `>`, `>=`, `<`, `<=`. Values are compared numerically when both sides are numbers,
+ * as booleans for `true`/`false`, otherwise as strings.
+ */
+
+function parseCondition(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  const m = /^(\S+?)\s*(==|!=|>=|<=|>|<)\s*(.*)$/.exec(s);
+  if (!m) return { stateId: s, op: "truthy", value: null };
+  let value = m[3].trim();
+  if (/^(["']).*\1$/.test(value)) value = value.slice(1, -1);
+  return { stateId: m[1], op: m[2], value };
+}
+
+function _truthy(v) {
+  if (v === null || v === undefined) return false;
+  if (typeof v === "string") {
+    const t = v.trim().toLowerCase();
+    return t !== "" && t !== "0" && t !== "false" && t !== "off";
+  }
+  return !!v;
+}
+
+function _coerce(v) {
+  if (typeof v === "boolean" || typeof v === "number") return v;
+  const t = String(v === null || v === undefined ? "" : v).trim();
+  if (t === "true") return true;
+  if (t === "false") return false;
+  if (t !== "" && Number.isFinite(Number(t))) return Number(t);
+  return t;
+}
+
+/**
+ * Evaluate a parsed condition against the current state value (null/undefined = unknown → false,
+ * except for `!=`).
+ */
+function evalCondition(cond, val) {
+  if (!cond) return true;
+  if (cond.op === "truthy") return _truthy(val);
+  if (val === null || val === undefined) return cond.op === "!=";
+  const a = _coerce(val);
+  const b = _coerce(cond.value);
+  const numeric = typeof a === "number" && typeof b === "number";
+  switch (cond.op) {
+    case "==":
+      return numeric || typeof a === typeof b ? a === b : String(a) === String(b);
+    case "!=":
+      return numeric || typeof a === typeof b ? a !== b : String(a) !== String(b);
+    case ">":
+      return numeric ? a > b : String(a) > String(b);
+    case ">=":
+      return numeric ? a >= b : String(a) >= String(b);
+    case "<":
+      return numeric ? a < b : String(a) < String(b);
+    case "<=":
+      return numeric ? a <= b : String(a) <= String(b);
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  parseCondition,
+  evalCondition,
+};
@@ -1,5 +1,10 @@
 "use strict";
 
+const { parseCondition } = require("./conditions");
+const { BUNDLED_TEMPLATES, parseBindings, templateUrl } = require("./templates");
+
+const ACTIVATION_POLICIES = ["reject", "evictLru", "evictPriority", "queue"];
+
 function _str(v) {
   return typeof v === "string" ? v.trim() : "";
 }
@@ -10,11 +15,124 @@ function _num(v, def) {
   return n;
 }
 
+// Optional number: empty/missing values mean "inherit" (table cells are often "" or null).
+function _optNum(v) {
+  if (v === "" || v === null || v === undefined) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Clip rectangle "x,y,w,h" (CSS px) -> {x,y,width,height}; null if empty/invalid.
+function _clip(v) {
+  const parts = _str(v)
+    .split(/[\s,;]+/)
+    .filter((p) => p !== "")
+    .map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+  const [x, y, width, height] = parts;
+  if (width <= 0 || height <= 0) return null;
+  return { x: Math.max(0, x), y: Math.max(0, y), width, height };
+}
+
+// Playlist entries: "clock:10, weather:15 if 0_userdata.0.showWeather, energy:8 if javascript.0.pv > 100"
+// (separated by comma, semicolon or newline; duration in seconds, default 10).
+function _playlistEntries(raw) {
+  const out = [];
+  for (const part of String(raw || "").split(/[,;\n]+/)) {
+    const t = part.trim();
+    if (!t) continue;
+    const m = /^([^:\s]+)\s*(?::\s*([\d.]+))?\s*(?:\bif\b\s*(.+))?$/i.exec(t);
+    if (!m) continue;
+    const durationMs = Math.min(86400000, Math.max(1000, Math.round(_num(m[2], 10) * 1000)));
+    const conditionText = m[3] ? m[3].trim() : "";
+    out.push({ viewId: m[1], durationMs, condition: parseCondition(conditionText), conditionText });
+  }
+  return out;
+}
+
+// Token expiry: ISO date / date-time; empty = never. Unparsable values count as expired (fail closed).
+function _expiresTs(v) {
+  const t = _str(v);
+  if (!t) return null;
+  const ts = Date.parse(t);
+  return Number.isFinite(ts) ? ts : 0;
+}
+
+// Extra request headers: JSON object or "Name: value" pairs separated by newline / semicolon.
+function _headers(v) {
+  const t = _str(v);
+  const out = {};
+  if (!t) return out;
+  if (t.startsWith("{")) {
+    try {
+      for (const [k, val] of Object.entries(JSON.parse(t))) if (k.trim()) out[k.trim()] = String(val);
+    } catch {}
+    return out;
+  }
+  for (const part of t.split(/[;\n]+/)) {
+    const i = part.indexOf(":");
+    if (i > 0 && part.slice(0, i).trim()) out[part.slice(0, i).trim()] = part.slice(i + 1).trim();
+  }
+  return out;
+}
+
+// "http://host:port[/...]" -> "http://host:port"; "" if empty/invalid.
+function _origin(v) {
+  try {
+    return _str(v) ? new URL(_str(v)).origin : "";
+  } catch {
+    return "";
+  }
+}
+
+function _color(n) {
+  const dither = _str(n.colorDither);
+  return {
+    gamma: Math.min(4, Math.max(0.1, _num(n.colorGamma, 1))),
+    brightness: Math.min(100, Math.max(0, _num(n.colorBrightness, 100))) / 100,
+    colorTemperature: Math.min(12000, Math.max(1500, Math.floor(_num(n.colorTemperature, 6500)))),
+    gainR: Math.min(2, Math.max(0, _num(n.colorGainR, 1))),
+    gainG: Math.min(2, Math.max(0, _num(n.colorGainG, 1))),
+    gainB: Math.min(2, Math.max(0, _num(n.colorGainB, 1))),
+    bitsR: Math.min(8, Math.max(1, Math.floor(_num(n.colorBitsR, 8)))),
+    bitsG: Math.min(8, Math.max(1, Math.floor(_num(n.colorBitsG, 8)))),
+    bitsB: Math.min(8, Math.max(1, Math.floor(_num(n.colorBitsB, 8)))),
+    dither: ["none", "ordered", "floyd-steinberg"].includes(dither) ? dither : "none",
+  };
+}
+
 function normalizeConfig(native) {
   const n = native || {};
   const listenHost = _str(n.listenHost) || "0.0.0.0";
   const listenPort = Math.min(65535, Math.max(1, Math.floor(_num(n.listenPort, 8787))));
+  // HTTPS / WSS with certificates from the ioBroker certificate store; `plainPort` (0 = off) keeps a plain HTTP
+  // listener for legacy devices next to it.
+  const secure = n.secure === true;
+  const certPublic = _str(n.certPublic);
+  const certPrivate = _str(n.certPrivate);
+  const certChained = _str(n.certChained);
+  const plainPort0 = Math.min(65535, Math.max(0, Math.floor(_num(n.plainPort, 0))));
+  const plainPort = secure && plainPort0 !== listenPort ? plainPort0 : 0;
   const authToken = _str(n.authToken);
+  // Scoped API tokens (guest displays etc.): allowed view ids (empty = all), status / control access, expiry.
+  const tokens = [];
+  for (const t of Array.isArray(n.tokens) ? n.tokens : []) {
+    if (!t || typeof t !== "object" || t.enabled === false) continue;
+    const token = _str(t.token);
+    if (!token || token === authToken) continue;
+    tokens.push({
+      name: _str(t.name) || `token${tokens.length + 1}`,
+      token,
+      views: _str(t.views)
+        .split(/[,;\s]+/)
+        .filter((id) => id !== ""),
+      status: t.status === true,
+      control: t.control === true,
+      expiresTs: _expiresTs(t.expires),
+    });
+  }
+  // Lifetime of the signed frame URLs embedded in WS / SSE frame notifications.
+  const signedUrlTtlMs = Math.min(86400, Math.max(10, Math.floor(_num(n.signedUrlTtlSec, 300)))) * 1000;
   const canvasWidth = Math.min(8192, Math.max(1, Math.floor(_num(n.canvasWidth, 384))));
   const canvasHeight = Math.min(8192, Math.max(1, Math.floor(_num(n.canvasHeight, 64))));
   // Capture intervals: defaults used when a view does not override FPS.
@@ -26,6 +144,8 @@ function normalizeConfig(native) {
 
   // Limit concurrently rendered views (important for CPU usage).
   const maxActiveViews = Math.min(10, Math.max(1, Math.floor(_num(n.maxActiveViews, 2))));
+  // What happens when a request needs one more view than `maxActiveViews` allows.
+  const activationPolicy = ACTIVATION_POLICIES.includes(_str(n.activationPolicy)) ? _str(n.activationPolicy) : "reject";
   // When a view has no subscribers, keep it "active" for a short grace period after the last
   // request/subscribe so quick layout switches don't cause thrash.
   const inactiveGraceMs = Math.min(600000, Math.max(0, Math.floor(_num(n.inactiveGraceMs, 5000))));
@@ -36,6 +156,52 @@ function normalizeConfig(native) {
   // Resume will be slower than keeping the browser warm, but CPU usage approaches zero.
   const closeBrowserAfterInactiveMs = Math.min(3600000, Math.max(0, Math.floor(_num(n.closeBrowserAfterInactiveMs, 30000))));
 
+  // Frame history per view (debugging): distinct frames kept in memory, capped by count, size and age.
+  // 0 frames or 0 MB disables it.
+  const history = {
+    maxFrames: Math.min(10000, Math.max(0, Math.floor(_num(n.historyMaxFrames, 300)))),
+    maxBytes: Math.round(Math.min(1024, Math.max(0, _num(n.historyMaxMb, 8))) * 1024 * 1024),
+    maxAgeMs: Math.min(86400, Math.max(0, Math.floor(_num(n.historyMaxAgeSec, 600)))) * 1000,
+  };
+
+  // WS devices that send heartbeats are disconnected after this much silence (0 = never).
+  const deviceTimeoutMs = Math.min(3600, Math.max(0, Math.floor(_num(n.deviceTimeoutSec, 60)))) * 1000;
+
+  // LED colour pipeline (neutral defaults: gamma 1, 100 % brightness, 6500 K, 8 bits, no dithering).
+  const color = _color(n);
+
+  // Logins for protected VIS sources (e.g. the web adapter with authentication): HTTP basic auth, extra headers
+  // and/or a scripted form login. Each login renders in its own browser context; with `persist` its cookies /
+  // local storage are saved and survive browser restarts. Views use a login by id, or by matching `origin`.
+  const logins = [];
+  for (const l of Array.isArray(n.logins) ? n.logins : []) {
+    if (!l || typeof l !== "object" || l.enabled === false) continue;
+    const id = _str(l.id);
+    if (!id || logins.some((x) => x.id === id)) continue;
+    logins.push({
+      id,
+      origin: _origin(l.origin),
+      username: _str(l.username),
+      password: typeof l.password === "string" ? l.password : "",
+      basic: l.basic === true,
+      headers: _headers(l.headers),
+      form: l.form === true,
+      userSelector: _str(l.userSelector) || 'input[name="username"], input[type="email"], input[type="text"]',
+      passwordSelector: _str(l.passwordSelector) || 'input[type="password"]',
+      submitSelector: _str(l.submitSelector),
+      persist: l.persist !== false,
+    });
+  }
+
+  // User-defined HTML templates (see lib/templates.js); bundled ones are used unless overridden by id.
+  const templates = new Map(Object.entries(BUNDLED_TEMPLATES));
+  for (const t of Array.isArray(n.templates) ? n.templates : []) {
+    if (!t || typeof t !== "object") continue;
+    const id = _str(t.id);
+    if (!id || !_str(t.html)) continue;
+    templates.set(id, { html: String(t.html), css: typeof t.css === "string" ? t.css : "", defaults: {} });
+  }
+
   const viewsIn = Array.isArray(n.views) ? n.views : [];
   const views = [];
   for (const v of viewsIn) {
@@ -43,17 +209,103 @@ function normalizeConfig(native) {
     const enabled = v.enabled !== false;
     const id = _str(v.id);
     const name = _str(v.name);
-    const url = _str(v.url);
+    // Template views render a template bound to states instead of a URL (served to the renderer internally).
+    const template = _str(v.template) ? templates.get(_str(v.template)) || null : null;
+    const url = template ? templateUrl(id) : _str(v.url);
     if (!id || !url) continue;
     // Per-view busy FPS (best-effort). This is only the "fast" end; unchanged pages back off to captureMaxIntervalMs.
     const busyFps = Math.min(20, Math.max(1, Math.floor(_num(v.busyFps, 10))));
-    views.push({ enabled, id, name, url, busyFps });
+    // Eviction priority (activationPolicy "evictPriority"): higher wins.
+    const priority = Math.min(100, Math.max(-100, Math.floor(_num(v.priority, 0))));
+    // Supersampling: render at `renderScale`× the canvas size, then area-average down to the LED resolution.
+    const renderScale = Math.min(8, Math.max(1, _num(v.renderScale, 1) || 1));
+    // Capture area: explicit viewport (0 = canvas size × renderScale), then either an element selector
+    // or a clip rectangle inside it. The captured area is scaled to the canvas size.
+    const viewportWidth = Math.min(8192, Math.max(0, Math.floor(_num(v.viewportWidth, 0))));
+    const viewportHeight = Math.min(8192, Math.max(0, Math.floor(_num(v.viewportHeight, 0))));
+    const clip = _clip(v.clip);
+    const selector = _str(v.selector);
+    // Per-view colour overrides (empty = use instance settings).
+    const gamma = _optNum(v.gamma);
+    const brightness = _optNum(v.brightness);
+    // Login: explicit id (unknown ids render without one), otherwise the first login for the URL's origin.
+    const login = _str(v.login) || (logins.find((l) => l.origin && l.origin === _origin(url)) || {}).id || "";
+    const viewColor = {
+      ...color,
+      gamma: gamma && gamma > 0 ? Math.min(4, Math.max(0.1, gamma)) : color.gamma,
+      brightness: brightness !== null ? Math.min(100, Math.max(0, brightness)) / 100 : color.brightness,
+    };
+    views.push({
+      enabled,
+      id,
+      name,
+      url,
+      busyFps,
+      priority,
+      renderScale,
+      viewportWidth,
+      viewportHeight,
+      clip,
+      selector,
+      color: viewColor,
+      login: logins.some((l) => l.id === login) ? login : "",
+      template,
+      bindings: parseBindings(v.bindings),
+    });
+  }
+
+  // Playlists: virtual views rotating through existing view ids (ids must not clash with view ids).
+  const viewIds = new Set(views.map((v) => v.id));
+  const playlists = [];
+  for (const p of Array.isArray(n.playlists) ? n.playlists : []) {
+    if (!p || typeof p !== "object") continue;
+    const id = _str(p.id);
+    if (!id || viewIds.has(id)) continue;
+    const entries = _playlistEntries(p.entries);
+    if (!entries.length) continue;
+    playlists.push({ enabled: p.enabled !== false, id, name: _str(p.name), entries });
+  }
+  // Lead time for loading the next playlist entry before it is shown.
+  const playlistPrewarmMs = Math.min(60000, Math.max(0, Math.floor(_num(n.playlistPrewarmMs, 3000))));
+
+  // Alert rules: when `stateId` changes to a value matching `condition` (e.g. "== true", "> 0"; empty =
+  // truthy), show `viewId` instead of the targeted views for `duration` seconds.
+  const alerts = [];
+  for (const a of Array.isArray(n.alerts) ? n.alerts : []) {
+    if (!a || typeof a !== "object" || a.enabled === false) continue;
+    const stateId = _str(a.stateId);
+    const viewId = _str(a.viewId);
+    if (!stateId || !viewId) continue;
+    const id = _str(a.id) || `${stateId}->${viewId}`;
+    // A bare value ("true", "1", "idle") or a single "=" means "== value".
+    const conditionText = _str(a.condition)
+      .replace(/^=(?!=)\s*/, "== ")
+      .replace(/^(?!==|!=|>=|<=|>|<)(?=\S)/, "== ");
+    alerts.push({
+      id,
+      stateId,
+      condition: parseCondition(conditionText ? `${stateId} ${conditionText}` : stateId),
+      conditionText,
+      viewId,
+      durationMs: Math.min(86400000, Math.max(1000, Math.round(_num(a.duration, 10) * 1000))),
+      priority: Math.floor(_num(a.priority, 0)),
+      targets: _str(a.targets)
+        .split(/[,;\s]+/)
+        .filter((t) => t !== ""),
+    });
   }
 
   return {
     listenHost,
     listenPort,
+    secure,
+    certPublic,
+    certPrivate,
+    certChained,
+    plainPort,
     authToken,
+    tokens,
+    signedUrlTtlMs,
     canvasWidth,
     canvasHeight,
     captureMinIntervalMs,
@@ -62,14 +314,23 @@ function normalizeConfig(native) {
     cacheBustOnReload,
     defaultView,
     maxActiveViews,
+    activationPolicy,
     inactiveGraceMs,
     closePageAfterInactiveMs,
     closeBrowserAfterInactiveMs,
+    history,
+    deviceTimeoutMs,
+    color,
+    logins,
     views,
+    playlists,
+    playlistPrewarmMs,
+    alerts,
   };
 }
 
 module.exports = {
+  ACTIVATION_POLICIES,
   normalizeConfig,
 };
 
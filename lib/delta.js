@@ -0,0 +1,145 @@
+"use strict";
+
+const { frameRgba, frameBytes, rgbaToRgb565, rgbaToRgb888 } = require("./frame_formats");
+
+/**
+ * Dirty-rectangle deltas between two frames of the same view.
+ *
+ * The frame is split into square tiles; changed tiles are merged into rectangles (horizontal
+ * runs first, then identical runs on consecutive tile rows). A delta message carries the
+ * rectangles in its header and their pixels (row-major per rectangle, in rectangle order) as
+ * payload, using one of the raw formats. Clients apply it on top of the frame named by `base`.
+ */
+
+const DELTA_FORMATS = ["rgb565", "rgb888"];
+const DEFAULT_TILE_SIZE = 8;
+
+const _deltaCache = new WeakMap(); // frame -> Map(`${baseEtag}|${format}` -> delta)
+
+function _tileChanged(a, b, width, x0, y0, x1, y1) {
+  for (let y = y0; y < y1; y++) {
+    let i = (y * width + x0) * 4;
+    const end = (y * width + x1) * 4;
+    for (; i < end; i++) {
+      if (a[i] !== b[i]) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @returns {Array<[number, number, number, number]>} rectangles as [x, y, w, h]
+ */
+function computeDirtyRects(prev, cur, width, height, tileSize = DEFAULT_TILE_SIZE) {
+  const ts = Math.max(1, Math.floor(Number(tileSize) || DEFAULT_TILE_SIZE));
+  const rows = [];
+  for (let ty = 0; ty < height; ty += ts) {
+    const y1 = Math.min(height, ty + ts);
+    const runs = [];
+    let runStart = -1;
+    for (let tx = 0; tx < width; tx += ts) {
+      const x1 = Math.min(width, tx + ts);
+      if (_tileChanged(prev, cur, width, tx, ty, x1, y1)) {
+        if (runStart < 0) runStart = tx;
+      } else if (runStart >= 0) {
+        runs.push([runStart, tx]);
+        runStart = -1;
+      }
+    }
+    if (runStart >= 0) runs.push([runStart, width]);
+    rows.push({ y0: ty, y1, runs });
+  }
+
+  // Merge identical runs across consecutive tile rows.
+  const out = [];
+  let open = new Map(); // "x0:x1" -> rect
+  for (const row of rows) {
+    const next = new Map();
+    for (const [x0, x1] of row.runs) {
+      const key = `${x0}:${x1}`;
+      const r = open.get(key);
+      if (r) {
+        r[3] = row.y1 - r[1];
+        next.set(key, r);
+      } else {
+        const nr = [x0, row.y0, x1 - x0, row.y1 - row.y0];
+        out.push(nr);
+        next.set(key, nr);
+      }
+    }
+    open = next;
+  }
+  return out;
+}
+
+function _extractRects(img, rects, format) {
+  const parts = [];
+  for (const [x, y, w, h] of rects) {
+    const sub = Buffer.alloc(w * h * 4);
+    for (let row = 0; row < h; row++) {
+      const src = ((y + row) * img.width + x) * 4;
+      img.data.copy(sub, row * w * 4, src, src + w * 4);
+    }
+    parts.push(format === "rgb565" ? rgbaToRgb565(sub) : rgbaToRgb888(sub));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Build a keyframe (full frame) message description.
+ * @returns {{header:object,payload:Buffer}|null}
+ */
+function buildKeyframe(viewId, frame, format) {
+  const out = frameBytes(frame, format);
+  if (!out) return null;
+  return {
+    header: { type: "key", viewId, etag: frame.etag, ts: frame.ts, format, width: out.width, height: out.height },
+    payload: out.data,
+  };
+}
+
+/**
+ * Build a delta from `base` to `frame`; falls back to a keyframe when there is no usable base.
+ * @returns {{header:object,payload:Buffer}|null}
+ */
+function buildDelta(viewId, base, frame, format, tileSize) {
+  if (!frame || !frame.png || !DELTA_FORMATS.includes(format)) return null;
+  if (!base || !base.png || base.etag === frame.etag) return buildKeyframe(viewId, frame, format);
+
+  const key = `${base.etag}|${format}`;
+  let byBase = _deltaCache.get(frame);
+  if (byBase && byBase.has(key)) return byBase.get(key);
+
+  const prev = frameRgba(base);
+  const cur = frameRgba(frame);
+  if (!prev || !cur || prev.width !== cur.width || prev.height !== cur.height) return buildKeyframe(viewId, frame, format);
+
+  const rects = computeDirtyRects(prev.data, cur.data, cur.width, cur.height, tileSize);
+  const delta = {
+    header: {
+      type: "delta",
+      viewId,
+      etag: frame.etag,
+      base: base.etag,
+      ts: frame.ts,
+      format,
+      width: cur.width,
+      height: cur.height,
+      rects,
+    },
+    payload: _extractRects(cur, rects, format),
+  };
+  if (!byBase) {
+    byBase = new Map();
+    _deltaCache.set(frame, byBase);
+  }
+  byBase.set(key, delta);
+  return delta;
+}
+
+module.exports = {
+  DELTA_FORMATS,
+  computeDirtyRects,
+  buildKeyframe,
+  buildDelta,
+};
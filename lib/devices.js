@@ -0,0 +1,200 @@
+"use strict";
+
+/**
+ * Registry of banner devices connected via WS.
+ *
+ * A client becomes a device by sending `deviceId` in `hello` (optionally with `firmware`, `width`, `height`).
+ * Entries survive disconnects (until the adapter restarts) so `/status.json` and the `devices.<id>.*` states can
+ * show when a banner dropped off. Any message counts as a sign of life; once a device has sent a `heartbeat`, it
+ * is expected to keep doing so and its connection counts as stale after `timeoutMs` of silence.
+ *
+ * Commands (adapter → device) carry a correlation id and resolve with the device's `response` or with
+ * `{ok:false, error:"timeout"|"disconnected"|"offline"}`. Telemetry (device → adapter) keeps the latest value
+ * per known field.
+ */
+
+// Telemetry fields kept per device (other fields are ignored): name -> type
+const TELEMETRY_FIELDS = {
+  temperature: "number",
+  rssi: "number",
+  uptime: "number",
+  brightness: "number",
+  power: "boolean",
+};
+
+class DeviceRegistry {
+  constructor({ timeoutMs, send } = {}) {
+    this.timeoutMs = Math.max(0, Math.floor(Number(timeoutMs || 0)));
+    this.send = send; // (ws, obj) => boolean
+    this._devices = new Map(); // key -> entry
+    this._pending = new Map(); // correlation id -> { key, ws, command, sentTs, timer, resolve }
+    this._seq = 0;
+  }
+
+  connect(key, ws, { id, firmware, width, height } = {}) {
+    let d = this._devices.get(key);
+    const now = Date.now();
+    if (!d) {
+      d = { key, id: String(id || key), sockets: new Set(), connects: 0, heartbeats: false, acks: new Map(), telemetry: {} };
+      this._devices.set(key, d);
+    }
+    if (d.sockets.has(ws)) return d;
+    d.sockets.add(ws);
+    d.connects++;
+    d.id = String(id || d.id);
+    d.firmware = firmware ? String(firmware) : "";
+    d.width = Number.isFinite(Number(width)) && Number(width) > 0 ? Math.floor(Number(width)) : null;
+    d.height = Number.isFinite(Number(height)) && Number(height) > 0 ? Math.floor(Number(height)) : null;
+    d.connectedTs = now;
+    d.lastSeenTs = now;
+    return d;
+  }
+
+  disconnect(key, ws) {
+    const d = this._devices.get(key);
+    if (!d || !d.sockets.delete(ws)) return;
+    if (!d.sockets.size) d.disconnectedTs = Date.now();
+    for (const [id, p] of this._pending) if (p.ws === ws) this._settle(id, { ok: false, error: "disconnected" });
+  }
+
+  get(key) {
+    return this._devices.get(key) || null;
+  }
+
+  keys() {
+    return Array.from(this._devices.keys());
+  }
+
+  seen(key, heartbeat = false) {
+    const d = this._devices.get(key);
+    if (!d) return;
+    d.lastSeenTs = Date.now();
+    if (heartbeat) d.heartbeats = true;
+  }
+
+  // The device displays `etag` of `viewId`.
+  ack(key, viewId, etag) {
+    const d = this._devices.get(key);
+    if (!d || !viewId || !etag) return;
+    d.lastSeenTs = Date.now();
+    d.acks.set(String(viewId), { etag: String(etag), ts: d.lastSeenTs });
+    d.lastAck = { viewId: String(viewId), etag: String(etag), ts: d.lastSeenTs };
+  }
+
+  // Latest values of the known telemetry fields; returns the accepted fields.
+  telemetry(key, msg) {
+    const d = this._devices.get(key);
+    if (!d || !msg) return {};
+    const out = {};
+    for (const [name, type] of Object.entries(TELEMETRY_FIELDS)) {
+      const v = msg[name];
+      if (type === "number" && (typeof v === "number" || (typeof v === "string" && v.trim() !== "")) && Number.isFinite(Number(v))) {
+        out[name] = Number(v);
+      } else if (type === "boolean" && typeof v === "boolean") {
+        out[name] = v;
+      }
+    }
+    d.lastSeenTs = Date.now();
+    Object.assign(d.telemetry, out, { ts: d.lastSeenTs });
+    return out;
+  }
+
+  /**
+   * Send `command` to the device (its newest connection) and wait for the matching `response`.
+   * @returns {Promise<{ok:boolean, result?:any, error?:string, ms?:number}>}
+   */
+  command(key, command, args, timeoutMs = 10000) {
+    const d = this._devices.get(key);
+    const ws = d && d.sockets.size ? Array.from(d.sockets).pop() : null;
+    if (!ws || typeof this.send !== "function") return Promise.resolve({ ok: false, error: "offline" });
+    const id = `c${++this._seq}`;
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => this._settle(id, { ok: false, error: "timeout" }), Math.max(100, Number(timeoutMs) || 10000));
+      this._pending.set(id, { key, ws, command, sentTs: Date.now(), timer, resolve });
+      if (!this.send(ws, { type: "command", id, command, args: args || {} })) this._settle(id, { ok: false, error: "offline" });
+    });
+  }
+
+  // `{"type":"response","id":"<id>","ok":true,"result":...}` from the device that got the command.
+  response(ws, msg) {
+    const p = this._pending.get(String(msg.id || ""));
+    if (!p || p.ws !== ws) return false;
+    const ok = msg.ok !== false && !msg.error;
+    this._settle(String(msg.id), ok ? { ok, result: msg.result } : { ok, error: String(msg.error || "failed") });
+    return true;
+  }
+
+  _settle(id, res) {
+    const p = this._pending.get(id);
+    if (!p) return;
+    this._pending.delete(id);
+    clearTimeout(p.timer);
+    p.resolve({ ...res, id, command: p.command, ms: Date.now() - p.sentTs });
+  }
+
+  pendingCount(key) {
+    let n = 0;
+    for (const p of this._pending.values()) if (p.key === key) n++;
+    return n;
+  }
+
+  /** Sockets of heartbeat-sending devices that have been silent for longer than `timeoutMs`. */
+  staleSockets(nowMs = Date.now()) {
+    const out = [];
+    if (!this.timeoutMs) return out;
+    for (const d of this._devices.values()) {
+      if (d.heartbeats && d.sockets.size && nowMs - d.lastSeenTs > this.timeoutMs) out.push(...d.sockets);
+    }
+    return out;
+  }
+
+  /**
+   * How long the newest frame of the device's views has gone unacknowledged (ms, 0 = up to date);
+   * null if the device never acknowledged a frame. `frameOf(viewId)` returns the current frame.
+   */
+  lagMs(d, viewIds, frameOf, nowMs = Date.now()) {
+    if (!d || !d.lastAck) return null;
+    let lag = 0;
+    for (const viewId of viewIds) {
+      const fr = frameOf(viewId);
+      if (!fr || !fr.etag) continue;
+      const a = d.acks.get(viewId);
+      if (!a || a.etag !== fr.etag) lag = Math.max(lag, nowMs - Number(fr.ts || nowMs));
+    }
+    return lag;
+  }
+
+  /**
+   * Status rows; `viewsOf(ws)` lists the view ids a connection is subscribed to.
+   */
+  getStatus(viewsOf, frameOf) {
+    const now = Date.now();
+    return Array.from(this._devices.values()).map((d) => {
+      const views = new Set();
+      for (const ws of d.sockets) for (const v of viewsOf(ws)) views.add(v);
+      return {
+        id: d.id,
+        key: d.key,
+        online: d.sockets.size > 0,
+        connections: d.sockets.size,
+        firmware: d.firmware || null,
+        width: d.width,
+        height: d.height,
+        connectedTs: d.connectedTs,
+        disconnectedTs: d.sockets.size ? null : d.disconnectedTs || null,
+        lastSeenTs: d.lastSeenTs,
+        views: Array.from(views),
+        lastAck: d.lastAck || null,
+        lagMs: this.lagMs(d, views, frameOf, now),
+        reconnects: Math.max(0, d.connects - 1),
+        telemetry: d.telemetry.ts ? { ...d.telemetry } : null,
+        pendingCommands: this.pendingCount(d.key),
+      };
+    });
+  }
+}
+
+module.exports = {
+  TELEMETRY_FIELDS,
+  DeviceRegistry,
+};
@@ -0,0 +1,127 @@
+"use strict";
+
+const jpeg = require("jpeg-js");
+const { decodePng } = require("./png");
+const { scaleNearest } = require("./resample");
+
+/**
+ * Frame output formats.
+ *
+ * The renderer only produces PNG; raw formats are derived lazily on first request and cached
+ * per frame object (frames are immutable once captured, so a WeakMap cache is safe).
+ *
+ * Raw layouts (row-major, top-left first, no padding):
+ * - rgb565: 2 bytes per pixel, little-endian (ESP32 native), `RRRRRGGG GGGBBBBB`
+ * - rgb888: 3 bytes per pixel, R, G, B
+ */
+const FRAME_FORMATS = {
+  png: { contentType: "image/png" },
+  rgb565: { contentType: "application/octet-stream", bytesPerPixel: 2 },
+  rgb888: { contentType: "application/octet-stream", bytesPerPixel: 3 },
+};
+
+const FRAME_FORMAT_NAMES = Object.keys(FRAME_FORMATS);
+
+const _rgbaCache = new WeakMap(); // frame -> {width,height,data}
+const _bytesCache = new WeakMap(); // frame -> Map(format -> Buffer)
+const _jpegCache = new WeakMap(); // frame -> Map(`${scale}|${quality}` -> Buffer)
+
+function rgbaToRgb565(data) {
+  const n = data.length >> 2;
+  const out = Buffer.alloc(n * 2);
+  for (let i = 0, s = 0; i < n; i++, s += 4) {
+    const v = ((data[s] & 0xf8) << 8) | ((data[s + 1] & 0xfc) << 3) | (data[s + 2] >> 3);
+    out.writeUInt16LE(v, i * 2);
+  }
+  return out;
+}
+
+function rgbaToRgb888(data) {
+  const n = data.length >> 2;
+  const out = Buffer.alloc(n * 3);
+  for (let i = 0, s = 0, d = 0; i < n; i++, s += 4, d += 3) {
+    out[d] = data[s];
+    out[d + 1] = data[s + 1];
+    out[d + 2] = data[s + 2];
+  }
+  return out;
+}
+
+function frameRgba(frame) {
+  if (!frame || !frame.png) return null;
+  let img = _rgbaCache.get(frame);
+  if (!img) {
+    img = decodePng(frame.png);
+    _rgbaCache.set(frame, img);
+  }
+  return img;
+}
+
+/**
+ * Return the frame encoded in `format` (one of FRAME_FORMAT_NAMES), or null if unsupported.
+ * @returns {{data:Buffer,width:number|null,height:number|null,contentType:string}|null}
+ */
+function frameBytes(frame, format) {
+  const f = FRAME_FORMATS[format];
+  if (!f || !frame || !frame.png) return null;
+  if (format === "png") return { data: frame.png, width: null, height: null, contentType: f.contentType };
+
+  const img = frameRgba(frame);
+  let byFormat = _bytesCache.get(frame);
+  if (!byFormat) {
+    byFormat = new Map();
+    _bytesCache.set(frame, byFormat);
+  }
+  let data = byFormat.get(format);
+  if (!data) {
+    data = format === "rgb565" ? rgbaToRgb565(img.data) : rgbaToRgb888(img.data);
+    byFormat.set(format, data);
+  }
+  return { data, width: img.width, height: img.height, contentType: f.contentType };
+}
+
+/**
+ * JPEG rendition of a frame (MJPEG streaming), optionally upscaled by an integer factor.
+ * Shared between all stream clients using the same scale/quality.
+ * @returns {Buffer|null}
+ */
+function frameJpeg(frame, scale = 1, quality = 85) {
+  const img = frameRgba(frame);
+  if (!img) return null;
+  const key = `${scale}|${quality}`;
+  let byKey = _jpegCache.get(frame);
+  if (!byKey) {
+    byKey = new Map();
+    _jpegCache.set(frame, byKey);
+  }
+  let data = byKey.get(key);
+  if (!data) {
+    data = jpeg.encode(scaleNearest(img, scale), quality).data;
+    byKey.set(key, data);
+  }
+  return data;
+}
+
+/**
+ * Binary frame message (WS push): `"HBF1"` magic, uint16 BE header length, UTF-8 JSON header, payload.
+ * The header carries at least `{viewId, etag, ts, format, width, height}`.
+ */
+const FRAME_MESSAGE_MAGIC = Buffer.from("HBF1", "ascii");
+
+function packFrameMessage(header, payload) {
+  const hdr = Buffer.from(JSON.stringify(header || {}), "utf-8");
+  const len = Buffer.alloc(2);
+  len.writeUInt16BE(hdr.length, 0);
+  return Buffer.concat([FRAME_MESSAGE_MAGIC, len, hdr, payload || Buffer.alloc(0)]);
+}
+
+module.exports = {
+  FRAME_FORMATS,
+  FRAME_FORMAT_NAMES,
+  frameRgba,
+  frameBytes,
+  frameJpeg,
+  packFrameMessage,
+  rgbaToRgb565,
+  rgbaToRgb888,
+};
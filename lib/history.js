@@ -0,0 +1,70 @@
+"use strict";
+
+/**
+ * Bounded ring buffer of recent distinct frames of one view (for debugging / sharing clips).
+ *
+ * Frames are kept as captured (`{png, etag, ts}`, PNG bytes only); the oldest frames are dropped when
+ * any limit is exceeded: frame count, total PNG bytes, or age.
+ */
+class FrameHistory {
+  constructor({ maxFrames, maxBytes, maxAgeMs } = {}) {
+    this.maxFrames = Math.max(0, Math.floor(Number(maxFrames || 0)));
+    this.maxBytes = Math.max(0, Math.floor(Number(maxBytes || 0)));
+    this.maxAgeMs = Math.max(0, Math.floor(Number(maxAgeMs || 0)));
+    this._frames = []; // oldest first
+    this._bytes = 0;
+  }
+
+  get enabled() {
+    return this.maxFrames > 0 && this.maxBytes > 0;
+  }
+
+  push(frame) {
+    if (!this.enabled || !frame || !frame.png) return;
+    this._frames.push(frame);
+    this._bytes += frame.png.length;
+    this._trim(Date.now());
+  }
+
+  _trim(nowMs) {
+    const cutoff = this.maxAgeMs > 0 ? nowMs - this.maxAgeMs : -Infinity;
+    while (
+      this._frames.length &&
+      (this._frames.length > this.maxFrames || this._bytes > this.maxBytes || this._frames[0].ts < cutoff)
+    ) {
+      this._bytes -= this._frames.shift().png.length;
+    }
+  }
+
+  /**
+   * Frames with `ts >= sinceMs`, oldest first.
+   */
+  list(sinceMs = 0) {
+    this._trim(Date.now());
+    const since = Number(sinceMs || 0);
+    return this._frames.filter((f) => f.ts >= since);
+  }
+
+  getByTs(ts) {
+    const t = Number(ts);
+    return this._frames.find((f) => f.ts === t) || null;
+  }
+
+  clear() {
+    this._frames = [];
+    this._bytes = 0;
+  }
+
+  getStatus() {
+    return {
+      frames: this._frames.length,
+      bytes: this._bytes,
+      oldestTs: this._frames.length ? this._frames[0].ts : null,
+      newestTs: this._frames.length ? this._frames[this._frames.length - 1].ts : null,
+    };
+  }
+}
+
+module.exports = {
+  FrameHistory,
+};
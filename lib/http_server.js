@@ -1,7 +1,24 @@
 "use strict";
 
 const http = require("node:http");
+const https = require("node:https");
 const url = require("node:url");
+const { FRAME_FORMATS, frameBytes, frameJpeg, packFrameMessage } = require("./frame_formats");
+const { DELTA_FORMATS, buildDelta } = require("./delta");
+const { decodePng, encodeApng, pngSize } = require("./png");
+
+// Upper bound for frames in one APNG export (decoding is synchronous).
+const APNG_MAX_FRAMES = 600;
+// Display time of the last frame in an APNG export (it has no successor to measure against).
+const APNG_LAST_DELAY_MS = 1000;
+// Upper bound for long-poll requests (`?wait=` / `Prefer: wait=`).
+const LONG_POLL_MAX_MS = 60000;
+// MJPEG multipart boundary and the largest upscaled stream width.
+const MJPEG_BOUNDARY = "hbframe";
+const MJPEG_MAX_WIDTH = 4096;
+// SSE: comment line interval (keeps proxies / idle timeouts from closing the stream) and client retry delay.
+const SSE_KEEPALIVE_MS = 15000;
+const SSE_RETRY_MS = 2000;
 
 function _sendJson(res, code, obj) {
   const body = Buffer.from(JSON.stringify(obj || {}), "utf-8");
@@ -19,6 +36,34 @@ function _sendPng(res, code, buf, etag) {
   res.end(buf);
 }
 
+function _sendRaw(res, code, out, format, etag) {
+  res.statusCode = code;
+  res.setHeader("Content-Type", out.contentType);
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("X-Frame-Format", format);
+  res.setHeader("X-Frame-Width", String(out.width));
+  res.setHeader("X-Frame-Height", String(out.height));
+  if (etag) res.setHeader("ETag", etag);
+  res.end(out.data);
+}
+
+// ETags are quoted; accept `since` with or without the quotes.
+function _normEtag(v) {
+  const e = String(v || "").trim();
+  if (!e) return "";
+  return e.startsWith('"') ? e : `"${e}"`;
+}
+
+// Long-poll duration requested via `?wait=<ms>` or `Prefer: wait=<seconds>` (RFC 7240); 0 = none.
+function _requestedWaitMs(req, query) {
+  let ms = Number(query && query.wait);
+  if (!Number.isFinite(ms) || ms <= 0) {
+    const m = /(?:^|[,;\s])wait=(\d+(?:\.\d+)?)/i.exec(String(req.headers["prefer"] || ""));
+    ms = m ? Number(m[1]) * 1000 : 0;
+  }
+  return Math.min(LONG_POLL_MAX_MS, Math.max(0, Math.floor(ms || 0)));
+}
+
 async function _maybeWaitForFirstFrame({ viewId, getFrame, waitForFrame, waitMs }) {
   try {
     const fr0 = getFrame ? getFrame(String(viewId)) : null;
@@ -34,43 +79,427 @@ async function _maybeWaitForFirstFrame({ viewId, getFrame, waitForFrame, waitMs
   return null;
 }
 
-function createHttpServer({ host, port, authToken, getStatus, getFrame, onFrameRequest, waitForFrame }) {
-  const srv = http.createServer(async (req, res) => {
+function _sseEvent(event, data, id) {
+  return `${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Low-cardinality route label for metrics (no view ids).
+function _routeLabel(path) {
+  if (path === "/frame.png") return "frame_legacy";
+  if (path.startsWith("/stream/")) return "stream";
+  if (path.startsWith("/events/")) return "events";
+  if (path.startsWith("/frame/") && path.endsWith("/delta")) return "delta";
+  if (path.startsWith("/frame/") && /\/(history\.json|recent\.apng|history\/[^/]+\.png)$/.test(path)) return "history";
+  if (path.startsWith("/frame/")) return "frame";
+  if (path === "/status.json" || path === "/healthz" || path === "/metrics") return path.slice(1);
+  return "other";
+}
+
+function createHttpServer({
+  host,
+  port,
+  tls,
+  plainPort,
+  access,
+  getStatus,
+  getHealth,
+  getFrame,
+  getFrameByEtag,
+  getHistory,
+  getMetrics,
+  onFrameRequest,
+  onStreamOpen,
+  onStreamClose,
+  frameMessage,
+  waitForFrame,
+  metrics,
+}) {
+  // Streaming clients (MJPEG, SSE): viewId -> Set({kind, viewId, res, writing, pending, ...})
+  const streams = new Map();
+
+  // Activate the view (HTTP polling) and return its current frame; sends the error response and
+  // returns null if there is none.
+  async function resolveFrame(res, viewId) {
+    if (!viewId) {
+      _sendJson(res, 400, { ok: false, error: "missing_view_id" });
+      return null;
+    }
+    try {
+      if (typeof onFrameRequest === "function") {
+        const r = await onFrameRequest(String(viewId));
+        if (r && typeof r === "object" && r.error) {
+          _sendJson(res, Number(r.statusCode || 429), r);
+          return null;
+        }
+      }
+    } catch {}
+    let frame = getFrame ? getFrame(String(viewId)) : null;
+    if (!frame || !frame.png || !frame.etag) {
+      // Cold start: allow a brief wait for the first frame instead of immediately returning no_frame.
+      frame = await _maybeWaitForFirstFrame({ viewId, getFrame, waitForFrame, waitMs: 900 });
+    }
+    if (!frame || !frame.png || !frame.etag) {
+      _sendJson(res, 503, { ok: false, error: "no_frame", viewId });
+      return null;
+    }
+    return frame;
+  }
+
+  // Long-poll: when the client already has the current frame, hold the request until the next frame
+  // arrives or `waitMs` elapses. Returns the frame to send (possibly still `current`), null if the client left.
+  async function waitForChange(res, viewId, current, waitMs) {
+    if (!waitMs || typeof waitForFrame !== "function") return current;
+    res.setHeader("Preference-Applied", `wait=${Math.ceil(waitMs / 1000)}`);
+    let gone = false;
+    res.once("close", () => {
+      gone = true;
+    });
+    await waitForFrame(String(viewId), waitMs, current.etag);
+    if (gone) return null;
+    const next = getFrame ? getFrame(String(viewId)) : null;
+    return next && next.png && next.etag ? next : current;
+  }
+
+  async function serveFrame(req, res, viewId, format, waitMs) {
+    let frame = await resolveFrame(res, viewId);
+    if (!frame) return;
+    // All formats of one frame share its ETag, so devices can compare it with WS notifications.
+    const inm = String(req.headers["if-none-match"] || "");
+    if (inm && inm === frame.etag) frame = await waitForChange(res, viewId, frame, waitMs);
+    if (!frame) return;
+    if (inm && inm === frame.etag) {
+      res.statusCode = 304;
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("ETag", frame.etag);
+      res.end();
+      return;
+    }
+    if (format === "png") {
+      _sendPng(res, 200, frame.png, frame.etag);
+      return;
+    }
+    let out;
+    try {
+      out = frameBytes(frame, format);
+    } catch {
+      _sendJson(res, 500, { ok: false, error: "convert_failed", viewId, format });
+      return;
+    }
+    _sendRaw(res, 200, out, format, frame.etag);
+  }
+
+  async function serveDelta(req, res, viewId, since, format, waitMs) {
+    if (!DELTA_FORMATS.includes(format)) {
+      _sendJson(res, 400, { ok: false, error: "unsupported_format", format, formats: DELTA_FORMATS });
+      return;
+    }
+    let frame = await resolveFrame(res, viewId);
+    if (!frame) return;
+    if (since && since === frame.etag) frame = await waitForChange(res, viewId, frame, waitMs);
+    if (!frame) return;
+    if (since && since === frame.etag) {
+      res.statusCode = 304;
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("ETag", frame.etag);
+      res.end();
+      return;
+    }
+    // Unknown base (evicted from the recent-frames window, or never seen): send a keyframe.
+    const base = since && typeof getFrameByEtag === "function" ? getFrameByEtag(String(viewId), since) : null;
+    let d;
+    try {
+      d = buildDelta(String(viewId), base, frame, format);
+    } catch {
+      d = null;
+    }
+    if (!d) {
+      _sendJson(res, 500, { ok: false, error: "convert_failed", viewId, format });
+      return;
+    }
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "application/octet-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("X-Frame-Type", d.header.type);
+    res.setHeader("ETag", frame.etag);
+    res.end(packFrameMessage(d.header, d.payload));
+  }
+
+  // History endpoints read the ring buffer only; they never activate a view.
+  function historyFor(res, viewId) {
+    const h = typeof getHistory === "function" ? getHistory(String(viewId)) : null;
+    if (!h || !h.enabled) {
+      _sendJson(res, 404, { ok: false, error: "no_history", viewId });
+      return null;
+    }
+    return h;
+  }
+
+  function serveHistoryJson(res, viewId, seconds) {
+    const h = historyFor(res, viewId);
+    if (!h) return;
+    const since = seconds > 0 ? Date.now() - seconds * 1000 : 0;
+    const base = `/frame/${encodeURIComponent(viewId)}/history`;
+    _sendJson(res, 200, {
+      ok: true,
+      viewId,
+      ...h.getStatus(),
+      limits: { maxFrames: h.maxFrames, maxBytes: h.maxBytes, maxAgeMs: h.maxAgeMs },
+      items: h.list(since).map((f) => ({ ts: f.ts, etag: f.etag, bytes: f.png.length, url: `${base}/${f.ts}.png` })),
+    });
+  }
+
+  function serveHistoryFrame(res, viewId, ts) {
+    const h = historyFor(res, viewId);
+    if (!h) return;
+    const frame = h.getByTs(ts);
+    if (!frame) {
+      _sendJson(res, 404, { ok: false, error: "no_frame", viewId, ts });
+      return;
+    }
+    _sendPng(res, 200, frame.png, frame.etag);
+  }
+
+  function serveRecentApng(res, viewId, seconds) {
+    const h = historyFor(res, viewId);
+    if (!h) return;
+    const frames = h.list(Date.now() - seconds * 1000).slice(-APNG_MAX_FRAMES);
+    if (!frames.length) {
+      _sendJson(res, 404, { ok: false, error: "no_frames", viewId, seconds });
+      return;
+    }
+    let body;
+    const imgs = [];
+    try {
+      for (let i = 0; i < frames.length; i++) {
+        const img = decodePng(frames[i].png);
+        // Frames of another size (canvas changed) cannot be part of the same animation.
+        if (imgs.length && (img.width !== imgs[0].width || img.height !== imgs[0].height)) continue;
+        const next = frames[i + 1];
+        img.delayMs = next ? next.ts - frames[i].ts : APNG_LAST_DELAY_MS;
+        imgs.push(img);
+      }
+      body = encodeApng(imgs);
+    } catch {
+      _sendJson(res, 500, { ok: false, error: "convert_failed", viewId });
+      return;
+    }
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "image/apng");
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("Content-Disposition", `inline; filename="${String(viewId).replace(/[^\w.-]+/g, "_")}-recent.png"`);
+    res.setHeader("X-Frame-Count", String(imgs.length));
+    res.end(body);
+  }
+
+  // Write one stream update (MJPEG part or SSE frame event); while the socket is congested only the
+  // newest frame is kept.
+  function writeStreamFrame(client, frame) {
+    if (client.writing) {
+      client.pending = frame;
+      return;
+    }
+    let chunk;
+    try {
+      chunk = client.kind === "sse" ? _sseFrameChunk(client, frame) : _mjpegChunk(client, frame);
+    } catch {
+      chunk = null;
+    }
+    if (!chunk) return;
+    if (client.res.write(chunk)) return;
+    client.writing = true;
+    client.res.once("drain", () => {
+      client.writing = false;
+      const next = client.pending;
+      client.pending = null;
+      if (next) writeStreamFrame(client, next);
+    });
+  }
+
+  function _mjpegChunk(client, frame) {
+    const jpg = frameJpeg(frame, client.scale, client.quality);
+    if (!jpg) return null;
+    const head = `--${MJPEG_BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${jpg.length}\r\nX-Timestamp: ${frame.ts}\r\n\r\n`;
+    return Buffer.concat([Buffer.from(head, "ascii"), jpg, Buffer.from("\r\n", "ascii")]);
+  }
+
+  // The event id is the frame ETag, so a reconnecting client resumes via `Last-Event-ID`.
+  function _sseFrameChunk(client, frame) {
+    if (!frame.etag || frame.etag === client.lastEtag) return null;
+    const msg = typeof frameMessage === "function" ? frameMessage(client.viewId, frame) : { type: "frame", viewId: client.viewId, etag: frame.etag, ts: frame.ts };
+    client.lastEtag = frame.etag;
+    return _sseEvent("frame", msg, frame.etag);
+  }
+
+  // Register a stream client for `viewId`; returns the function that unregisters it (once).
+  function addStreamClient(viewId, client) {
+    let set = streams.get(viewId);
+    if (!set) {
+      set = new Set();
+      streams.set(viewId, set);
+    }
+    set.add(client);
+    let removed = false;
+    return () => {
+      if (removed) return;
+      removed = true;
+      set.delete(client);
+      if (set.size === 0 && streams.get(viewId) === set) streams.delete(viewId);
+      if (typeof onStreamClose === "function") {
+        try {
+          onStreamClose(String(viewId));
+        } catch {}
+      }
+    };
+  }
+
+  // The stream counts as a consumer of the view (like a WS subscription) until the connection closes.
+  async function serveStream(req, res, viewId, query) {
+    const frame0 = getFrame ? getFrame(String(viewId)) : null;
+    const size = frame0 ? pngSize(frame0.png) : null;
+    const maxScale = size && size.width ? Math.max(1, Math.floor(MJPEG_MAX_WIDTH / size.width)) : 8;
+    const scale = Math.min(maxScale, 8, Math.max(1, Math.floor(Number(query.scale || 1) || 1)));
+    const quality = Math.min(100, Math.max(10, Math.floor(Number(query.quality || 85) || 85)));
+    if (typeof onStreamOpen === "function") {
+      const r = await onStreamOpen(String(viewId));
+      if (r && typeof r === "object" && r.error) {
+        _sendJson(res, Number(r.statusCode || 429), r);
+        return;
+      }
+    }
+    const client = { kind: "mjpeg", viewId, res, scale, quality, writing: false, pending: null };
+    const cleanup = addStreamClient(viewId, client);
+    res.once("close", cleanup);
+    if (res.destroyed) {
+      // Client went away while the view was being activated.
+      cleanup();
+      return;
+    }
+    req.socket.setNoDelay(true);
+    res.statusCode = 200;
+    res.setHeader("Content-Type", `multipart/x-mixed-replace; boundary=${MJPEG_BOUNDARY}`);
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("Pragma", "no-cache");
+    res.setHeader("Connection", "close");
+    res.flushHeaders();
+    const fr = getFrame ? getFrame(String(viewId)) : null;
+    if (fr && fr.png) writeStreamFrame(client, fr);
+  }
+
+  // Server-Sent Events: the same `subscribed` / `frame` / `error` messages as the WS JSON protocol.
+  // Activation errors are sent as an `error` event (EventSource cannot read error response bodies).
+  async function serveEvents(req, res, viewId, query) {
+    const lastEtag = _normEtag(req.headers["last-event-id"] || query.lastEventId);
+    req.socket.setNoDelay(true);
+    req.socket.setTimeout(0);
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders();
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    let r = null;
+    try {
+      r = typeof onStreamOpen === "function" ? await onStreamOpen(String(viewId)) : null;
+    } catch {
+      r = { ok: false, error: "subscribe_failed" };
+    }
+    if (r && typeof r === "object" && r.error) {
+      res.end(_sseEvent("error", { type: "error", viewId, ...r, ok: undefined, statusCode: undefined }));
+      return;
+    }
+    const client = { kind: "sse", viewId, res, lastEtag, writing: false, pending: null };
+    const cleanup = addStreamClient(viewId, client);
+    const keepAlive = setInterval(() => {
+      if (!client.writing) res.write(": keep-alive\n\n");
+    }, SSE_KEEPALIVE_MS);
+    res.once("close", () => {
+      clearInterval(keepAlive);
+      cleanup();
+    });
+    if (res.destroyed) {
+      clearInterval(keepAlive);
+      cleanup();
+      return;
+    }
+    res.write(_sseEvent("subscribed", { type: "subscribed", viewId }));
+    // Current frame right away, unless the client already has it (resume).
+    const fr = getFrame ? getFrame(String(viewId)) : null;
+    if (fr && fr.png) writeStreamFrame(client, fr);
+  }
+
+  const handleRequest = async (req, res) => {
     try {
       const u = url.parse(req.url || "/", true);
       const path = String(u.pathname || "/");
+      if (metrics) {
+        res.once("finish", () => metrics.httpResponses.inc({ route: _routeLabel(path), code: res.statusCode }));
+      }
 
       // Very small, explicit API surface:
       // - GET /frame.png?viewId=<id>         (legacy)
       // - GET /frame/<viewId>.png           (preferred)
+      // - GET /frame/<viewId>.rgb565        (raw pixels, little-endian)
+      // - GET /frame/<viewId>.rgb888        (raw pixels)
+      // - GET /frame/<viewId>/delta?since=<etag>&format=rgb565|rgb888
+      //   (frame and delta requests accept ?wait=<ms> / `Prefer: wait=<s>` to long-poll for the next change)
+      // - GET /frame/<viewId>/history.json?seconds=<n>
+      // - GET /frame/<viewId>/history/<ts>.png
+      // - GET /frame/<viewId>/recent.apng?seconds=<n>
+      // - GET /stream/<viewId>.mjpeg?scale=<n>&quality=<q>
+      // - GET /events/<viewId>              (Server-Sent Events)
       // - GET /status.json
+      // - GET /metrics                      (Prometheus text format)
       // - GET /healthz
       if (req.method !== "GET") {
         _sendJson(res, 405, { ok: false, error: "method_not_allowed" });
         return;
       }
 
-      // Token auth (optional).
-      if (authToken) {
-        const token = String(u.query && u.query.token ? u.query.token : "");
-        const hdr = String(req.headers["authorization"] || "");
-        const bearer = hdr.toLowerCase().startsWith("bearer ") ? hdr.slice(7).trim() : "";
-        if (token !== authToken && bearer !== authToken) {
-          _sendJson(res, 401, { ok: false, error: "unauthorized" });
-          return;
-        }
+      // Token / signed URL auth (optional); scopes are checked per route.
+      const auth = access ? access.authenticate(req, u.query) : { principal: null };
+      if (auth.error) {
+        _sendJson(res, 401, { ok: false, error: auth.error });
+        return;
       }
+      const principal = auth.principal;
+      const allowView = (viewId) => {
+        if (!access || access.canView(principal, viewId)) return true;
+        _sendJson(res, 403, { ok: false, error: "forbidden", viewId });
+        return false;
+      };
+      const allowStatus = () => {
+        if (!access || access.canStatus(principal)) return true;
+        _sendJson(res, 403, { ok: false, error: "forbidden" });
+        return false;
+      };
 
       if (path === "/healthz") {
-        _sendJson(res, 200, { ok: true });
+        // 503 while the renderer watchdog is recovering (stalled view, browser down).
+        // Details (view ids, errors) only with the status scope.
+        const health = typeof getHealth === "function" ? getHealth() : { ok: true };
+        const detailed = !access || access.canStatus(principal);
+        _sendJson(res, health.ok ? 200 : 503, detailed ? health : { ok: health.ok });
         return;
       }
 
       if (path === "/status.json") {
+        if (!allowStatus()) return;
         _sendJson(res, 200, { ok: true, status: getStatus() });
         return;
       }
 
+      if (path === "/metrics") {
+        if (!allowStatus()) return;
+        const body = Buffer.from(typeof getMetrics === "function" ? String(getMetrics()) : "", "utf-8");
+        res.statusCode = 200;
+        res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+        res.setHeader("Cache-Control", "no-store");
+        res.end(body);
+        return;
+      }
+
       if (path === "/frame.png") {
         let viewId = String((u.query && (u.query.viewId || u.query.view_id)) || "");
         if (!viewId) {
@@ -79,97 +508,113 @@ function createHttpServer({ host, port, authToken, getStatus, getFrame, onFrameR
             if (st && st.activeViewId) viewId = String(st.activeViewId || "");
           } catch {}
         }
-        if (!viewId) {
-          _sendJson(res, 400, { ok: false, error: "missing_view_id" });
-          return;
-        }
-        try {
-          if (typeof onFrameRequest === "function") {
-            const r = await onFrameRequest(String(viewId));
-            if (r && typeof r === "object" && r.error) {
-              _sendJson(res, Number(r.statusCode || 429), r);
-              return;
-            }
-          }
-        } catch {}
-        let frame = getFrame ? getFrame(String(viewId)) : null;
-        if (!frame || !frame.png || !frame.etag) {
-          // Cold start: allow a brief wait for the first frame instead of immediately returning no_frame.
-          frame = await _maybeWaitForFirstFrame({ viewId, getFrame, waitForFrame, waitMs: 900 });
-        }
-        if (!frame || !frame.png || !frame.etag) {
-          _sendJson(res, 503, { ok: false, error: "no_frame", viewId });
-          return;
-        }
-        const inm = String(req.headers["if-none-match"] || "");
-        if (inm && inm === frame.etag) {
-          res.statusCode = 304;
-          res.setHeader("Cache-Control", "no-cache");
-          res.setHeader("ETag", frame.etag);
-          res.end();
-          return;
-        }
-        _sendPng(res, 200, frame.png, frame.etag);
+        if (viewId && !allowView(viewId)) return;
+        await serveFrame(req, res, viewId, "png", _requestedWaitMs(req, u.query));
         return;
       }
 
-      if (path.startsWith("/frame/") && path.endsWith(".png")) {
-        const raw = path.slice("/frame/".length, path.length - ".png".length);
+      if (path.startsWith("/frame/") && path.endsWith("/delta")) {
+        const raw = path.slice("/frame/".length, path.length - "/delta".length);
+        const since = _normEtag(u.query && u.query.since);
+        const format = String((u.query && u.query.format) || "rgb565");
         const viewId = decodeURIComponent(String(raw || ""));
-        if (!viewId) {
-          _sendJson(res, 400, { ok: false, error: "missing_view_id" });
-          return;
-        }
-        try {
-          if (typeof onFrameRequest === "function") {
-            const r = await onFrameRequest(String(viewId));
-            if (r && typeof r === "object" && r.error) {
-              _sendJson(res, Number(r.statusCode || 429), r);
-              return;
-            }
-          }
-        } catch {}
-        let frame = getFrame ? getFrame(String(viewId)) : null;
-        if (!frame || !frame.png || !frame.etag) {
-          frame = await _maybeWaitForFirstFrame({ viewId, getFrame, waitForFrame, waitMs: 900 });
-        }
-        if (!frame || !frame.png || !frame.etag) {
-          _sendJson(res, 503, { ok: false, error: "no_frame", viewId });
+        if (!allowView(viewId)) return;
+        await serveDelta(req, res, viewId, since, format, _requestedWaitMs(req, u.query));
+        return;
+      }
+
+      if (path.startsWith("/stream/") && path.endsWith(".mjpeg")) {
+        const viewId = decodeURIComponent(path.slice("/stream/".length, path.length - ".mjpeg".length));
+        if (!allowView(viewId)) return;
+        await serveStream(req, res, viewId, u.query || {});
+        return;
+      }
+
+      if (path.startsWith("/events/") && path.length > "/events/".length) {
+        const viewId = decodeURIComponent(path.slice("/events/".length));
+        if (!allowView(viewId)) return;
+        await serveEvents(req, res, viewId, u.query || {});
+        return;
+      }
+
+      if (path.startsWith("/frame/")) {
+        const m = /^\/frame\/(.+)\/(history\.json|recent\.apng|history\/(\d+)\.png)$/.exec(path);
+        if (m) {
+          const viewId = decodeURIComponent(m[1]);
+          if (!allowView(viewId)) return;
+          const seconds = Math.max(0, Number((u.query && u.query.seconds) || 0) || 0);
+          if (m[3]) serveHistoryFrame(res, viewId, Number(m[3]));
+          else if (m[2] === "history.json") serveHistoryJson(res, viewId, seconds);
+          else serveRecentApng(res, viewId, seconds || 30);
           return;
         }
-        const inm = String(req.headers["if-none-match"] || "");
-        if (inm && inm === frame.etag) {
-          res.statusCode = 304;
-          res.setHeader("Cache-Control", "no-cache");
-          res.setHeader("ETag", frame.etag);
-          res.end();
+        // /frame/<viewId>.<format> (view ids may contain dots; the format is the last suffix).
+        const rest = path.slice("/frame/".length);
+        const dot = rest.lastIndexOf(".");
+        const format = dot >= 0 ? rest.slice(dot + 1) : "";
+        if (dot >= 0 && FRAME_FORMATS[format]) {
+          const viewId = decodeURIComponent(rest.slice(0, dot));
+          if (!allowView(viewId)) return;
+          await serveFrame(req, res, viewId, format, _requestedWaitMs(req, u.query));
           return;
         }
-        _sendPng(res, 200, frame.png, frame.etag);
-        return;
       }
 
       _sendJson(res, 404, { ok: false, error: "not_found" });
     } catch (e) {
       _sendJson(res, 500, { ok: false, error: "internal_error" });
     }
-  });
+  };
+
+  // HTTPS when certificates are given (`tls`: {key, cert, ca}), optionally with a plain HTTP listener on
+  // `plainPort` for legacy devices; both serve the same endpoints.
+  const srv = tls ? https.createServer({ key: tls.key, cert: tls.cert, ca: tls.ca || undefined }, handleRequest) : http.createServer(handleRequest);
+  const plainSrv = tls && plainPort ? http.createServer(handleRequest) : null;
+  const servers = plainSrv ? [srv, plainSrv] : [srv];
+
+  const listen = (server, p) =>
+    new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(p, host, () => resolve());
+    });
 
   return {
-    start: () =>
-      new Promise((resolve, reject) => {
-        srv.once("error", reject);
-        srv.listen(port, host, () => resolve());
-      }),
+    start: async () => {
+      await listen(srv, port);
+      if (plainSrv) await listen(plainSrv, plainPort);
+    },
+    // Push a changed frame to the MJPEG / SSE streams of `viewId` (a view or playlist id).
+    pushFrame: (viewId, frame) => {
+      const set = streams.get(String(viewId));
+      if (!set || !frame || !frame.png) return;
+      for (const client of set) writeStreamFrame(client, frame);
+    },
+    streamCount: (kind) => {
+      let n = 0;
+      for (const set of streams.values()) for (const c of set) if (!kind || c.kind === kind) n++;
+      return n;
+    },
     close: () =>
       new Promise((resolve) => {
-        try {
-          srv.close(() => resolve());
-        } catch {
-          resolve();
+        // Streams never end on their own.
+        for (const set of streams.values()) {
+          for (const client of set) {
+            try {
+              client.res.end();
+            } catch {}
+          }
+        }
+        let pending = servers.length;
+        for (const server of servers) {
+          try {
+            server.close(() => --pending || resolve());
+          } catch {
+            if (!--pending) resolve();
+          }
         }
       }),
     rawServer: srv,
+    rawServers: servers,
   };
 }
 
@@ -0,0 +1,166 @@
+"use strict";
+
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ *
+ * Supports counters, gauges (set directly or computed at scrape time) and histograms, each with
+ * optional labels. Only what the bridge needs; no external dependencies.
+ */
+
+const DEFAULT_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+function _labelKey(labels) {
+  const keys = Object.keys(labels || {}).sort();
+  return keys.map((k) => `${k}=${String(labels[k])}`).join(",");
+}
+
+function _escape(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function _fmtLabels(labels, extra) {
+  const all = { ...(labels || {}), ...(extra || {}) };
+  const keys = Object.keys(all);
+  if (!keys.length) return "";
+  return `{${keys.map((k) => `${k}="${_escape(all[k])}"`).join(",")}}`;
+}
+
+function _fmtNum(n) {
+  if (n === Infinity) return "+Inf";
+  return String(Number.isFinite(n) ? n : 0);
+}
+
+class _Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this._series = new Map(); // labelKey -> { labels, ... }
+  }
+
+  _get(labels, init) {
+    const key = _labelKey(labels);
+    let s = this._series.get(key);
+    if (!s) {
+      s = { labels: { ...(labels || {}) }, ...init() };
+      this._series.set(key, s);
+    }
+    return s;
+  }
+}
+
+class Counter extends _Metric {
+  constructor(name, help) {
+    super("counter", name, help);
+  }
+
+  inc(labels, by = 1) {
+    this._get(labels, () => ({ value: 0 })).value += by;
+  }
+
+  render() {
+    return Array.from(this._series.values()).map((s) => `${this.name}${_fmtLabels(s.labels)} ${_fmtNum(s.value)}`);
+  }
+}
+
+class Gauge extends _Metric {
+  constructor(name, help, collect) {
+    super("gauge", name, help);
+    this.collect = collect; // optional () => [{labels, value}] evaluated at scrape time
+  }
+
+  set(labels, value) {
+    this._get(labels, () => ({ value: 0 })).value = Number(value) || 0;
+  }
+
+  render() {
+    const rows = typeof this.collect === "function" ? this.collect() || [] : Array.from(this._series.values());
+    return rows.map((s) => `${this.name}${_fmtLabels(s.labels)} ${_fmtNum(s.value)}`);
+  }
+}
+
+class Histogram extends _Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS_MS) {
+    super("histogram", name, help);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const s = this._get(labels, () => ({ counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }));
+    const v = Number(value) || 0;
+    for (let i = 0; i < this.buckets.length; i++) if (v <= this.buckets[i]) s.counts[i]++;
+    s.sum += v;
+    s.count++;
+  }
+
+  render() {
+    const out = [];
+    for (const s of this._series.values()) {
+      this.buckets.forEach((b, i) => out.push(`${this.name}_bucket${_fmtLabels(s.labels, { le: b })} ${s.counts[i]}`));
+      out.push(`${this.name}_bucket${_fmtLabels(s.labels, { le: "+Inf" })} ${s.count}`);
+      out.push(`${this.name}_sum${_fmtLabels(s.labels)} ${_fmtNum(s.sum)}`);
+      out.push(`${this.name}_count${_fmtLabels(s.labels)} ${s.count}`);
+    }
+    return out;
+  }
+}
+
+class MetricsRegistry {
+  constructor(prefix = "") {
+    this.prefix = prefix;
+    this._metrics = new Map();
+  }
+
+  _add(metric) {
+    const existing = this._metrics.get(metric.name);
+    if (existing) return existing;
+    this._metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this._add(new Counter(this.prefix + name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this._add(new Gauge(this.prefix + name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this._add(new Histogram(this.prefix + name, help, buckets));
+  }
+
+  render() {
+    const lines = [];
+    for (const m of this._metrics.values()) {
+      lines.push(`# HELP ${m.name} ${m.help}`);
+      lines.push(`# TYPE ${m.name} ${m.type}`);
+      for (const l of m.render()) lines.push(l);
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+/**
+ * Metrics used across the bridge (one registry per adapter instance).
+ */
+function createBridgeMetrics() {
+  const reg = new MetricsRegistry("homebanner_");
+  return {
+    registry: reg,
+    screenshotMs: reg.histogram("screenshot_duration_ms", "Time to take and post-process one screenshot (ms)."),
+    paintWaitMs: reg.histogram("paint_wait_ms", "Time spent waiting for the browser to paint before a capture (ms)."),
+    frames: reg.counter("frames_total", "Captures by result (changed = new frame, unchanged = same ETag)."),
+    reloads: reg.counter("reloads_total", "Page reloads by result."),
+    gotoFailures: reg.counter("goto_failures_total", "Failed page navigations."),
+    browserLaunches: reg.counter("browser_launches_total", "Chromium launches."),
+    recoveries: reg.counter("watchdog_recoveries_total", "Renderer watchdog recoveries by kind (page, browser)."),
+    httpResponses: reg.counter("http_responses_total", "HTTP responses by route and status code."),
+    activationRejects: reg.counter("activation_rejects_total", "Requests rejected with too_many_active_views (429 / WS error)."),
+  };
+}
+
+module.exports = {
+  MetricsRegistry,
+  createBridgeMetrics,
+};
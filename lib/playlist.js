@@ -0,0 +1,196 @@
+"use strict";
+
+const { evalCondition } = require("./conditions");
+
+/**
+ * Playlist (carousel) virtual view.
+ *
+ * A playlist rotates through existing view ids with per-entry durations. Entries whose view is not
+ * available or whose condition is false are skipped. The runner only decides *what* is current and
+ * *when* to switch; the adapter moves renderer subscriptions in `onSwitch` and warms up the next
+ * entry in `prewarm` shortly before a switch.
+ *
+ * Consumer accounting mirrors `_ViewSession`: WS subscribers plus a grace period after HTTP polls.
+ *
+ * Switches (start, stop, timer, condition refresh) run one at a time, so `onSwitch` calls never overlap.
+ */
+class PlaylistRunner {
+  constructor({ playlist, log, getStateValue, isViewAvailable, onSwitch, prewarm, prewarmMs }) {
+    this.playlist = playlist; // {id, entries:[{viewId, durationMs, condition}]}
+    this.log = log;
+    this.getStateValue = getStateValue;
+    this.isViewAvailable = isViewAvailable;
+    this.onSwitch = onSwitch;
+    this.prewarm = prewarm;
+    this.prewarmMs = Math.max(0, Math.floor(Number(prewarmMs || 0)));
+
+    this._running = false;
+    this._index = -1;
+    this._currentViewId = "";
+    this._entryStartTs = 0;
+    this._switchTimer = null;
+    this._prewarmTimer = null;
+    this._chain = Promise.resolve(); // serializes switches
+    this._seq = 0; // advances so far (a timer only advances the entry it was set for)
+
+    this._subscribers = 0;
+    this._lastHttpSeenTs = 0;
+    this._lastInactiveTs = 0;
+  }
+
+  get id() {
+    return this.playlist.id;
+  }
+
+  current() {
+    return this._currentViewId;
+  }
+
+  subscribe() {
+    this._subscribers += 1;
+    this._lastInactiveTs = 0;
+  }
+
+  unsubscribe() {
+    this._subscribers = Math.max(0, this._subscribers - 1);
+    if (this._subscribers === 0) this._lastInactiveTs = Date.now();
+  }
+
+  touchHttp() {
+    this._lastHttpSeenTs = Date.now();
+  }
+
+  wanted(nowMs, inactiveGraceMs) {
+    if (this._subscribers > 0) return true;
+    const last = Math.max(this._lastHttpSeenTs, this._lastInactiveTs);
+    if (!last) return false;
+    return nowMs - last <= Math.max(0, Number(inactiveGraceMs || 0));
+  }
+
+  isRunning() {
+    return this._running;
+  }
+
+  _eligible(entry) {
+    if (!entry || !this.isViewAvailable(entry.viewId)) return false;
+    if (!entry.condition) return true;
+    try {
+      return evalCondition(entry.condition, this.getStateValue(entry.condition.stateId));
+    } catch {
+      return false;
+    }
+  }
+
+  // Next eligible entry index after `from` (wrapping); -1 if none.
+  _nextIndex(from) {
+    const entries = this.playlist.entries;
+    for (let k = 1; k <= entries.length; k++) {
+      const i = (from + k + entries.length) % entries.length;
+      if (this._eligible(entries[i])) return i;
+    }
+    return -1;
+  }
+
+  /** View id that would be shown first (used for activation checks before starting). */
+  peek() {
+    if (this._running) return this._currentViewId;
+    const i = this._nextIndex(-1);
+    return i >= 0 ? this.playlist.entries[i].viewId : "";
+  }
+
+  async start() {
+    if (this._running) return;
+    this._running = true;
+    this._index = -1;
+    await this._serial(() => this._advanceNow());
+  }
+
+  async stop() {
+    this._running = false;
+    this._clearTimers();
+    await this._serial(async () => {
+      if (this._running) return; // restarted meanwhile
+      const prev = this._currentViewId;
+      this._currentViewId = "";
+      this._index = -1;
+      if (prev) await this._emitSwitch(prev, "");
+    });
+  }
+
+  /** Re-check conditions (e.g. after a state change); skips the current entry if it became ineligible. */
+  async refresh() {
+    await this._serial(async () => {
+      if (!this._running) return;
+      const cur = this.playlist.entries[this._index];
+      if (this._index < 0 || !this._eligible(cur)) await this._advanceNow();
+    });
+  }
+
+  // Run `fn` after all earlier switches have finished.
+  _serial(fn) {
+    const p = this._chain.then(fn);
+    this._chain = p.catch(() => {});
+    return p;
+  }
+
+  _clearTimers() {
+    if (this._switchTimer) clearTimeout(this._switchTimer);
+    if (this._prewarmTimer) clearTimeout(this._prewarmTimer);
+    this._switchTimer = null;
+    this._prewarmTimer = null;
+  }
+
+  async _emitSwitch(prev, next) {
+    try {
+      await this.onSwitch(prev, next);
+    } catch (e) {
+      this.log.warn(`playlist ${this.id}: switch ${prev || "-"} -> ${next || "-"} failed: ${e && e.message ? e.message : e}`);
+    }
+  }
+
+  async _advanceNow() {
+    this._clearTimers();
+    if (!this._running) return;
+    const seq = ++this._seq;
+    const prev = this._currentViewId;
+    const i = this._nextIndex(this._index);
+    const entry = i >= 0 ? this.playlist.entries[i] : null;
+    this._index = i;
+    this._currentViewId = entry ? entry.viewId : "";
+    this._entryStartTs = Date.now();
+    if (prev !== this._currentViewId) await this._emitSwitch(prev, this._currentViewId);
+    if (!this._running) return;
+
+    // Nothing eligible: re-check periodically (conditions may become true).
+    const durationMs = entry ? entry.durationMs : 5000;
+    this._switchTimer = setTimeout(() => {
+      this._serial(() => (this._seq === seq ? this._advanceNow() : null)).catch(() => {});
+    }, durationMs);
+
+    if (entry && this.prewarmMs > 0 && typeof this.prewarm === "function") {
+      this._prewarmTimer = setTimeout(() => {
+        const n = this._nextIndex(this._index);
+        const nextViewId = n >= 0 ? this.playlist.entries[n].viewId : "";
+        if (nextViewId && nextViewId !== this._currentViewId) {
+          Promise.resolve(this.prewarm(nextViewId)).catch(() => {});
+        }
+      }, Math.max(0, durationMs - this.prewarmMs));
+    }
+  }
+
+  getStatus() {
+    return {
+      running: this._running,
+      currentViewId: this._currentViewId || null,
+      index: this._index,
+      entryStartTs: this._entryStartTs || null,
+      subscribers: this._subscribers,
+      lastHttpSeenTs: this._lastHttpSeenTs || null,
+      entries: this.playlist.entries.map((e) => ({ viewId: e.viewId, durationMs: e.durationMs, condition: e.conditionText || null })),
+    };
+  }
+}
+
+module.exports = {
+  PlaylistRunner,
+};
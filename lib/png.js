@@ -0,0 +1,252 @@
+"use strict";
+
+const zlib = require("node:zlib");
+
+/**
+ * Minimal PNG codec (no external dependencies).
+ *
+ * Scope:
+ * - Decode: 8-bit, non-interlaced gray / gray+alpha / RGB / RGBA / palette images
+ *   (this covers everything Chromium produces for screenshots)
+ * - Encode: 8-bit RGBA (still images and APNG animations)
+ *
+ * Pixels are always exchanged as tightly packed RGBA buffers (`width * height * 4` bytes).
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const _CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function _crc32(buf, crc = 0xffffffff) {
+  let c = crc;
+  for (let i = 0; i < buf.length; i++) c = _CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return c;
+}
+
+function _chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length, 0);
+  const typeBuf = Buffer.from(type, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE((_crc32(data, _crc32(typeBuf)) ^ 0xffffffff) >>> 0, 0);
+  return Buffer.concat([len, typeBuf, data, crc]);
+}
+
+function _paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+function _unfilter(raw, width, height, bpp) {
+  const stride = width * bpp;
+  const out = Buffer.alloc(stride * height);
+  let src = 0;
+  for (let y = 0; y < height; y++) {
+    const filter = raw[src++];
+    const row = y * stride;
+    const prev = row - stride;
+    for (let x = 0; x < stride; x++) {
+      const v = raw[src++];
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+      let r;
+      switch (filter) {
+        case 0:
+          r = v;
+          break;
+        case 1:
+          r = v + a;
+          break;
+        case 2:
+          r = v + b;
+          break;
+        case 3:
+          r = v + ((a + b) >> 1);
+          break;
+        case 4:
+          r = v + _paeth(a, b, c);
+          break;
+        default:
+          throw new Error(`png: invalid filter type ${filter}`);
+      }
+      out[row + x] = r & 0xff;
+    }
+  }
+  return out;
+}
+
+/**
+ * Decode a PNG buffer to RGBA pixels.
+ * @param {Buffer} buf
+ * @returns {{width:number,height:number,data:Buffer}}
+ */
+function decodePng(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 8 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("png: invalid signature");
+  }
+  let pos = 8;
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  let interlace = 0;
+  let palette = null;
+  let trns = null;
+  const idat = [];
+  while (pos + 8 <= buf.length) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString("ascii", pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + len);
+    pos += 12 + len;
+    if (type === "IHDR") {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      bitDepth = data[8];
+      colorType = data[9];
+      interlace = data[12];
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "tRNS") {
+      trns = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+  if (!width || !height) throw new Error("png: missing IHDR");
+  if (bitDepth !== 8) throw new Error(`png: unsupported bit depth ${bitDepth}`);
+  if (interlace !== 0) throw new Error("png: interlaced images are not supported");
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels) throw new Error(`png: unsupported color type ${colorType}`);
+  if (colorType === 3 && !palette) throw new Error("png: missing palette");
+
+  const px = _unfilter(zlib.inflateSync(Buffer.concat(idat)), width, height, channels);
+  const n = width * height;
+  const out = Buffer.alloc(n * 4);
+  for (let i = 0, s = 0, d = 0; i < n; i++, s += channels, d += 4) {
+    if (colorType === 6) {
+      out[d] = px[s];
+      out[d + 1] = px[s + 1];
+      out[d + 2] = px[s + 2];
+      out[d + 3] = px[s + 3];
+    } else if (colorType === 2) {
+      out[d] = px[s];
+      out[d + 1] = px[s + 1];
+      out[d + 2] = px[s + 2];
+      out[d + 3] = 255;
+    } else if (colorType === 3) {
+      const p = px[s];
+      out[d] = palette[p * 3];
+      out[d + 1] = palette[p * 3 + 1];
+      out[d + 2] = palette[p * 3 + 2];
+      out[d + 3] = trns && p < trns.length ? trns[p] : 255;
+    } else {
+      out[d] = out[d + 1] = out[d + 2] = px[s];
+      out[d + 3] = colorType === 4 ? px[s + 1] : 255;
+    }
+  }
+  return { width, height, data: out };
+}
+
+/**
+ * Read the image size from the IHDR chunk without decoding.
+ * @returns {{width:number,height:number}|null}
+ */
+function pngSize(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 24 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  if (buf.toString("ascii", 12, 16) !== "IHDR") return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+/**
+ * Encode RGBA pixels as an 8-bit RGBA PNG.
+ * @param {{width:number,height:number,data:Buffer}} img
+ * @returns {Buffer}
+ */
+function encodePng({ width, height, data }) {
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    _chunk("IHDR", _ihdr(width, height)),
+    _chunk("IDAT", zlib.deflateSync(_filterNone(width, height, data))),
+    _chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function _filterNone(width, height, data) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  return raw;
+}
+
+function _ihdr(width, height) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  return ihdr;
+}
+
+/**
+ * Encode an animated PNG (APNG). All frames must have the size of the first one.
+ * Viewers without APNG support show the first frame.
+ * @param {Array<{width:number,height:number,data:Buffer,delayMs:number}>} frames RGBA
+ * @param {{loops?:number}} [opts] 0 = loop forever
+ * @returns {Buffer}
+ */
+function encodeApng(frames, { loops = 0 } = {}) {
+  if (!Array.isArray(frames) || !frames.length) throw new Error("png: no frames");
+  const { width, height } = frames[0];
+  const actl = Buffer.alloc(8);
+  actl.writeUInt32BE(frames.length, 0);
+  actl.writeUInt32BE(Math.max(0, Math.floor(Number(loops) || 0)), 4);
+  const chunks = [PNG_SIGNATURE, _chunk("IHDR", _ihdr(width, height)), _chunk("acTL", actl)];
+  let seq = 0;
+  frames.forEach((f, i) => {
+    if (f.width !== width || f.height !== height) throw new Error("png: frame size mismatch");
+    const fctl = Buffer.alloc(26);
+    fctl.writeUInt32BE(seq++, 0);
+    fctl.writeUInt32BE(width, 4);
+    fctl.writeUInt32BE(height, 8);
+    // x/y offset 0; delay as ms/1000; dispose none, blend source.
+    fctl.writeUInt16BE(Math.min(65535, Math.max(1, Math.round(Number(f.delayMs) || 100))), 20);
+    fctl.writeUInt16BE(1000, 22);
+    chunks.push(_chunk("fcTL", fctl));
+    const data = zlib.deflateSync(_filterNone(width, height, f.data));
+    if (i === 0) {
+      chunks.push(_chunk("IDAT", data));
+    } else {
+      const num = Buffer.alloc(4);
+      num.writeUInt32BE(seq++, 0);
+      chunks.push(_chunk("fdAT", Buffer.concat([num, data])));
+    }
+  });
+  chunks.push(_chunk("IEND", Buffer.alloc(0)));
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  decodePng,
+  encodePng,
+  encodeApng,
+  pngSize,
+};
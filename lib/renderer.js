@@ -1,17 +1,49 @@
 "use strict";
 
 const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
 const { URL } = require("node:url");
 const { chromium } = require("playwright");
+const { decodePng, encodePng, pngSize } = require("./png");
+const { applyColorPipeline, isColorPipelineActive } = require("./color");
+const { resizeArea } = require("./resample");
+const { FrameHistory } = require("./history");
+const { TEMPLATE_ORIGIN, templatePage, templateViewId } = require("./templates");
 
 function _sha1Hex(buf) {
   return crypto.createHash("sha1").update(buf).digest("hex");
 }
 
+// Distinct frames kept per view as delta bases (clients may lag a few frames behind).
+const RECENT_FRAMES = 8;
+// Window for the produced-frames-per-second figure in status.
+const FPS_WINDOW_MS = 10000;
+// Watchdog: a wanted view without a successful capture for this long (at least 3 probe intervals) is stalled.
+const STALL_TIMEOUT_MS = 60000;
+// Stalls of one view in a row before the whole browser is restarted instead of just its page.
+const STALLS_BEFORE_BROWSER_RESTART = 2;
+const RECOVERY_BACKOFF_MAX_MS = 60000;
+
 function _sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+// Let pending I/O (HTTP / WS) run between synchronous post-processing steps.
+function _yield() {
+  return new Promise((r) => setImmediate(r));
+}
+
+// Exponential backoff after the n-th consecutive failure: 1 s, 2 s, 4 s, ... up to RECOVERY_BACKOFF_MAX_MS.
+function _backoffMs(failures) {
+  return Math.min(RECOVERY_BACKOFF_MAX_MS, 1000 * 2 ** Math.max(0, Math.min(16, failures - 1)));
+}
+
+// Playwright calls on a hung page / browser may never settle.
+function _withTimeout(promise, ms) {
+  return Promise.race([promise, _sleep(ms)]);
+}
+
 /**
  * Multi-view VIS renderer pool.
  *
@@ -38,8 +70,9 @@ function _cacheBustedUrl(raw, cacheBustOnReload) {
 }
 
 class _ViewSession {
-  constructor({ log, ctx, width, height, captureMinIntervalMs, captureMaxIntervalMs, autoReloadMs, cacheBustOnReload }) {
+  constructor({ log, metrics, ctx, width, height, captureMinIntervalMs, captureMaxIntervalMs, autoReloadMs, cacheBustOnReload, history }) {
     this.log = log;
+    this.metrics = metrics || null; // see lib/metrics.js createBridgeMetrics()
     this.ctx = ctx;
     this.width = width;
     this.height = height;
@@ -48,8 +81,10 @@ class _ViewSession {
     this.autoReloadMs = Math.max(0, Math.floor(Number(autoReloadMs || 0)));
     this.cacheBustOnReload = cacheBustOnReload === true;
 
-    this.view = null; // {id,url}
+    this.view = null; // {id,url,renderScale,viewportWidth,viewportHeight,clip,selector,color,login,template,bindings}
+    this.login = null; // form login of the view's login profile (see lib/config.js logins), or null
     this.page = null;
+    this._viewportKey = "";
 
     this._running = false;
     this._loopPromise = null;
@@ -59,17 +94,33 @@ class _ViewSession {
     this._probeMs = this.captureMinIntervalMs;
     this._lastReloadTs = 0;
     this._lastCaptureTs = 0;
+    this._lastAttemptTs = 0; // last capture that completed, with or without a frame (watchdog)
     this._lastError = "";
     this._lastFrame = null; // {png, etag, ts}
+    this._lastRaw = null; // {hash, png, etag}: last screenshot (before post-processing) and its result
+    this._recentFrames = []; // last few distinct frames (delta bases), oldest first
+    this._frameTimes = []; // timestamps of changed frames within FPS_WINDOW_MS
+    this.history = new FrameHistory(history); // debug ring buffer (see lib/history.js)
 
     this._subscribers = 0;
     this._lastHttpSeenTs = 0;
     this._lastInactiveTs = 0;
     this._enabled = false; // set by tick() based on wanted()
+
+    // Watchdog state: consecutive page losses / navigation failures (reset by a successful capture / goto)
+    // and the earliest time of the next attempt.
+    this._pageOpenedTs = 0;
+    this._pageFailures = 0;
+    this._nextPageTs = 0;
+    this._gotoFailures = 0;
+    this._nextGotoTs = 0;
+    this.onWatchdog = null; // ({viewId, kind, reason}) => void
+    this.onLogin = null; // async (loginId) => void, after a successful form login
   }
 
   setView(view, captureMinIntervalMs) {
     this.view = view;
+    this._lastRaw = null; // post-processing may differ
     if (captureMinIntervalMs) {
       this.captureMinIntervalMs = Math.max(50, Math.floor(Number(captureMinIntervalMs)));
       this.captureMaxIntervalMs = Math.max(this.captureMinIntervalMs, this.captureMaxIntervalMs);
@@ -85,14 +136,33 @@ class _ViewSession {
     this._enabled = true;
   }
 
-  unsubscribe() {
-    this._subscribers = Math.max(0, Math.floor(Number(this._subscribers || 0)) - 1);
+  unsubscribe(count = 1) {
+    this._subscribers = Math.max(0, Math.floor(Number(this._subscribers || 0)) - count);
     if (this._subscribers <= 0) {
       this._subscribers = 0;
       this._lastInactiveTs = Date.now();
     }
   }
 
+  // Drop all subscribers at once (eviction); same idle path as the last unsubscribe.
+  forceRelease() {
+    this.unsubscribe(Infinity);
+  }
+
+  // Drop the inactive grace period (no subscribers left): the view stops counting as active now.
+  release(inactiveGraceMs) {
+    if (this._subscribers > 0) return false;
+    this._lastHttpSeenTs = 0;
+    this._lastInactiveTs = Date.now() - Math.max(0, Number(inactiveGraceMs || 0)) - 1;
+    return true;
+  }
+
+  // Extend the HTTP grace period without requesting a capture (long-poll waiters).
+  keepAlive() {
+    this._lastHttpSeenTs = Date.now();
+    this._lastInactiveTs = 0;
+  }
+
   touchHttp() {
     this._lastHttpSeenTs = Date.now();
     this._lastInactiveTs = 0;
@@ -111,6 +181,21 @@ class _ViewSession {
     return this._lastFrame;
   }
 
+  // Last time the view was in use (now while it has subscribers); used for LRU eviction.
+  lastUsedTs() {
+    if (this._subscribers > 0) return Date.now();
+    return Math.max(Number(this._lastHttpSeenTs || 0), Number(this._lastInactiveTs || 0));
+  }
+
+  getFrameByEtag(etag) {
+    const e = String(etag || "");
+    if (!e) return null;
+    for (let i = this._recentFrames.length - 1; i >= 0; i--) {
+      if (this._recentFrames[i].etag === e) return this._recentFrames[i];
+    }
+    return null;
+  }
+
   getStatus() {
     return {
       activeView: this.view ? { id: this.view.id, url: this.view.url } : null,
@@ -121,12 +206,116 @@ class _ViewSession {
       hasFrame: !!this._lastFrame,
       etag: this._lastFrame ? this._lastFrame.etag : null,
       pageOpen: !!this.page,
+      lastUsedTs: this.lastUsedTs() || null,
+      fps: this.fps(),
+      history: this.history.getStatus(),
+      pageFailures: this._pageFailures,
+      gotoFailures: this._gotoFailures,
+      login: this.view && this.view.login ? this.view.login : null,
     };
   }
 
+  // Rendering without a completed capture attempt for `deadlineMs` (hung page, endless load, ...). Attempts
+  // without a frame (e.g. the view's selector matches nothing yet) are a page problem, not a renderer stall.
+  stalled(nowMs, deadlineMs) {
+    if (!this._enabled || !this.page || !this.view) return false;
+    return nowMs - Math.max(this._lastAttemptTs, this._pageOpenedTs) > deadlineMs;
+  }
+
+  getHealth(nowMs, deadlineMs) {
+    const stalled = this.stalled(nowMs, deadlineMs);
+    return {
+      ok: !stalled && !this._pageFailures && !this._gotoFailures,
+      stalled,
+      pageFailures: this._pageFailures,
+      gotoFailures: this._gotoFailures,
+      lastCaptureTs: this._lastCaptureTs || null,
+      lastError: this._lastError || null,
+    };
+  }
+
+  _watchdogEvent(kind, reason) {
+    this._lastError = reason;
+    this.log.warn(`renderer: ${reason} (${this.view ? this.view.id : "?"})`);
+    if (typeof this.onWatchdog === "function") {
+      try {
+        this.onWatchdog({ viewId: this.view ? this.view.id : "", kind, reason });
+      } catch {}
+    }
+  }
+
+  // The page crashed or was closed by the browser: drop it; tick() opens a new one after a backoff.
+  _pageLost(page, reason) {
+    if (this.page !== page) return;
+    this.page = null;
+    this._viewportKey = "";
+    this._pageFailures++;
+    this._nextPageTs = Date.now() + _backoffMs(this._pageFailures);
+    this._watchdogEvent("page", reason);
+    page.close().catch(() => {});
+  }
+
+  // Watchdog: replace a stalled page (closing it also aborts Playwright calls hanging on it).
+  recyclePage(reason) {
+    if (this.page) this._pageLost(this.page, reason);
+  }
+
+  // The browser went away (crash or watchdog restart): pages and context are gone with it.
+  browserLost(reason) {
+    this.page = null;
+    this.ctx = null;
+    this._viewportKey = "";
+    this._lastError = reason;
+  }
+
+  // Changed frames per second over the last FPS_WINDOW_MS.
+  fps() {
+    const cutoff = Date.now() - FPS_WINDOW_MS;
+    while (this._frameTimes.length && this._frameTimes[0] < cutoff) this._frameTimes.shift();
+    return Math.round((this._frameTimes.length / (FPS_WINDOW_MS / 1000)) * 10) / 10;
+  }
+
+  requestCapture() {
+    this._wantCaptureNow = true;
+  }
+
+  requestReload() {
+    this._wantReloadNow = true;
+  }
+
+  _viewportSize() {
+    const v = this.view || {};
+    const scale = v.renderScale > 0 ? Number(v.renderScale) : 1;
+    // An explicit per-view viewport wins over the supersampled canvas size.
+    const width = v.viewportWidth > 0 ? Number(v.viewportWidth) : this.width * scale;
+    const height = v.viewportHeight > 0 ? Number(v.viewportHeight) : this.height * scale;
+    return { width: Math.max(1, Math.round(width)), height: Math.max(1, Math.round(height)) };
+  }
+
+  // Per-page viewport (the shared context is created at canvas size; supersampled views enlarge it).
+  async _applyViewport() {
+    if (!this.page) return;
+    const vp = this._viewportSize();
+    const key = `${vp.width}x${vp.height}`;
+    if (key === this._viewportKey) return;
+    try {
+      await this.page.setViewportSize(vp);
+      this._viewportKey = key;
+    } catch (e) {
+      this.log.warn(`renderer: setViewportSize failed (${this.view ? this.view.id : "?"}): ${e && e.message ? e.message : e}`);
+    }
+  }
+
   async _ensurePage() {
-    if (this.page || !this.ctx) return;
-    this.page = await this.ctx.newPage();
+    if (this.page || !this.ctx || Date.now() < this._nextPageTs) return;
+    const page = await this.ctx.newPage();
+    this.page = page;
+    this._pageOpenedTs = Date.now();
+    this._viewportKey = `${this.width}x${this.height}`;
+    this._gotoFailures = 0;
+    this._nextGotoTs = 0;
+    page.on("crash", () => this._pageLost(page, "page crashed"));
+    page.on("close", () => this._pageLost(page, "page closed unexpectedly"));
 
     // Install dirtiness tracker early (per-page).
     await this.page.addInitScript(() => {
@@ -217,6 +406,7 @@ class _ViewSession {
     try {
       this._lastError = "";
       await this.page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
+      if (await this._formLogin()) await this.page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
       await this.page.evaluate(() => {
         // eslint-disable-next-line no-undef
         if (window.__hb) window.__hb.dirty = true;
@@ -224,10 +414,49 @@ class _ViewSession {
       this._lastReloadTs = Date.now();
       this._wantCaptureNow = true;
       this._probeMs = this.captureMinIntervalMs;
+      this._gotoFailures = 0;
     } catch (e) {
       this._lastError = String(e && e.message ? e.message : e);
       this.log.warn(`renderer: goto failed (${this.view ? this.view.id : "?"}): ${this._lastError}`);
+      if (this.metrics) this.metrics.gotoFailures.inc({ view: this.view ? this.view.id : "" });
+      // The page may still report the target URL (timeouts) or sit on an error page: retry with backoff.
+      this._gotoFailures++;
+      this._nextGotoTs = Date.now() + _backoffMs(this._gotoFailures);
+    }
+  }
+
+  // Template views: apply changed placeholder values in place (the DOM change marks the page dirty).
+  async pushValues(values) {
+    if (!this.page || !this.view || !this.view.template) return;
+    try {
+      // eslint-disable-next-line no-undef
+      await this.page.evaluate((v) => window.__hbUpdate && window.__hbUpdate(v), values);
+    } catch {}
+  }
+
+  // Scripted form login when the page shows a login form (visible password field) instead of the view.
+  // Throws if the form is still there after submitting (goto failure: retried with backoff).
+  async _formLogin() {
+    const login = this.login;
+    if (!login || !this.page) return false;
+    const pw = this.page.locator(login.passwordSelector).first();
+    if (!(await pw.isVisible().catch(() => false))) return false;
+    this.log.info(`renderer: logging in as "${login.username}" (${this.view ? this.view.id : "?"})`);
+    if (login.username) await this.page.locator(login.userSelector).first().fill(login.username, { timeout: 5000 });
+    await pw.fill(login.password, { timeout: 5000 });
+    if (login.submitSelector) await this.page.locator(login.submitSelector).first().click({ timeout: 5000 });
+    else await pw.press("Enter", { timeout: 5000 });
+    try {
+      await this.page.locator(login.passwordSelector).first().waitFor({ state: "hidden", timeout: 20000 });
+    } catch {
+      throw new Error(`login "${login.id}" failed`);
+    }
+    if (typeof this.onLogin === "function") {
+      try {
+        await this.onLogin(login.id);
+      } catch {}
     }
+    return true;
   }
 
   async _reload() {
@@ -240,6 +469,7 @@ class _ViewSession {
       } else {
         await this.page.reload({ waitUntil: "domcontentloaded", timeout: 45000 });
       }
+      if (await this._formLogin()) await this.page.goto(url0, { waitUntil: "domcontentloaded", timeout: 45000 });
       await this.page.evaluate(() => {
         // eslint-disable-next-line no-undef
         if (window.__hb) window.__hb.dirty = true;
@@ -248,10 +478,12 @@ class _ViewSession {
       this._lastReloadTs = Date.now();
       this._wantCaptureNow = true;
       this._probeMs = this.captureMinIntervalMs;
+      if (this.metrics) this.metrics.reloads.inc({ view: this.view.id, result: "ok" });
       return true;
     } catch (e) {
       this._lastError = String(e && e.message ? e.message : e);
       this.log.warn(`renderer: reload failed (${this.view ? this.view.id : "?"}): ${this._lastError}`);
+      if (this.metrics) this.metrics.reloads.inc({ view: this.view ? this.view.id : "", result: "failed" });
       return false;
     }
   }
@@ -275,20 +507,65 @@ class _ViewSession {
 
   async _capturePng() {
     if (!this.page) return null;
+    // Capture target: a CSS selector's element, a clip rectangle, or the whole viewport.
+    let target = this.page;
+    const base = { type: "png" };
+    const selector = this.view ? String(this.view.selector || "") : "";
+    if (selector) {
+      target = this.page.locator(selector).first();
+      if ((await target.count()) === 0) {
+        this._lastError = `selector not found: ${selector}`;
+        return null;
+      }
+      base.timeout = 5000;
+    } else if (this.view && this.view.clip) {
+      base.clip = this.view.clip;
+    }
     let png;
     try {
-      png = await this.page.screenshot({
-        type: "png",
+      png = await target.screenshot({
+        ...base,
         // Avoid capturing "mid-animation" artifacts and blinking carets.
         // (Best-effort; older Playwright versions may not support these options.)
         animations: "disabled",
         caret: "hide",
       });
     } catch {
-      png = await this.page.screenshot({ type: "png" });
+      png = await target.screenshot(base);
     }
+    // Probes of an unchanged page: skip the (synchronous) decode / resize / colour / encode work.
+    const rawHash = _sha1Hex(png);
+    if (this._lastRaw && this._lastRaw.hash === rawHash) return { png: this._lastRaw.png, etag: this._lastRaw.etag, ts: Date.now() };
+    const view = this.view;
+    png = Buffer.from(await this._postProcess(png));
+    if (this.view !== view) return null; // switched while post-processing
     const etag = `"${_sha1Hex(png)}"`;
-    return { png: Buffer.from(png), etag, ts: Date.now() };
+    this._lastRaw = { hash: rawHash, png, etag };
+    return { png, etag, ts: Date.now() };
+  }
+
+  // LED post-processing: scale captures (supersampled, clipped or element shots) to the canvas size,
+  // then the colour pipeline.
+  // Returns the PNG unchanged when neither applies. Each step is synchronous CPU work (tens of ms for
+  // large supersampled shots): it runs in its own event loop turn, so other views and I/O interleave.
+  async _postProcess(png) {
+    const color = this.view ? this.view.color : null;
+    const size = pngSize(png);
+    const needsResize = !!size && (size.width !== this.width || size.height !== this.height);
+    const needsColor = isColorPipelineActive(color);
+    if (!needsResize && !needsColor) return png;
+    await _yield();
+    let img = decodePng(Buffer.from(png));
+    if (needsResize) {
+      await _yield();
+      img = resizeArea(img, this.width, this.height);
+    }
+    if (needsColor) {
+      await _yield();
+      applyColorPipeline(img, color);
+    }
+    await _yield();
+    return encodePng(img);
   }
 
   async start() {
@@ -308,10 +585,13 @@ class _ViewSession {
 
   async closePage() {
     if (!this.page) return;
+    // Cleared first, so the page's "close" event is not taken for a crash.
+    const page = this.page;
+    this.page = null;
     try {
-      await this.page.close();
+      await _withTimeout(page.close(), 5000);
     } catch {}
-    this.page = null;
+    this._viewportKey = "";
     this._enabled = false;
   }
 
@@ -327,12 +607,13 @@ class _ViewSession {
       return;
     }
 
-    // Ensure we have a page and are on the correct URL.
+    // Ensure we have a page (with the view's viewport) and are on the correct URL.
     await this._ensurePage();
+    await this._applyViewport();
     if (this.page && this.view) {
       const cur = String(this.page.url ? this.page.url() : "");
       const wantUrl = String(this.view.url || "");
-      if (wantUrl && (!cur || cur !== wantUrl)) {
+      if (wantUrl && (!cur || cur !== wantUrl || this._gotoFailures > 0) && now >= this._nextGotoTs) {
         await this._goto(wantUrl);
       }
     }
@@ -388,9 +669,16 @@ class _ViewSession {
         }
 
         // Debounce paint to avoid capturing transient DOM states right after mutations.
+        const labels = { view: this.view.id };
+        const t0 = Date.now();
         await this._waitForPaint();
-
+        const t1 = Date.now();
         const frame = await this._capturePng();
+        this._lastAttemptTs = Date.now();
+        if (this.metrics) {
+          this.metrics.paintWaitMs.observe(labels, t1 - t0);
+          if (frame) this.metrics.screenshotMs.observe(labels, Date.now() - t1);
+        }
         if (!frame) {
           await _sleep(quietSleepMs);
           continue;
@@ -398,9 +686,16 @@ class _ViewSession {
 
         this._lastError = "";
         this._lastCaptureTs = frame.ts;
+        this._pageFailures = 0;
         const changed = !this._lastFrame || this._lastFrame.etag !== frame.etag;
+        if (this.metrics) this.metrics.frames.inc({ ...labels, result: changed ? "changed" : "unchanged" });
         if (changed) {
           this._lastFrame = frame;
+          this._recentFrames.push(frame);
+          if (this._recentFrames.length > RECENT_FRAMES) this._recentFrames.shift();
+          this.history.push(frame);
+          this._frameTimes.push(frame.ts);
+          if (this._frameTimes.length > 1000) this._frameTimes.shift();
           this._probeMs = this.captureMinIntervalMs;
           lastChangeTs = frame.ts;
           if (typeof this.onFrame === "function") {
@@ -433,8 +728,19 @@ class RendererPool {
     inactiveGraceMs,
     closePageAfterInactiveMs,
     closeBrowserAfterInactiveMs,
+    history,
+    metrics,
+    logins,
+    storageDir,
+    getStateValue,
   }) {
     this.log = log;
+    this.metrics = metrics || null;
+    // Login profiles for protected sources (lib/config.js logins); saved storage states go to `storageDir`.
+    this.logins = new Map((Array.isArray(logins) ? logins : []).map((l) => [l.id, l]));
+    this.storageDir = storageDir || "";
+    this.getStateValue = typeof getStateValue === "function" ? getStateValue : () => null; // template bindings
+    this.history = history || null; // {maxFrames, maxBytes, maxAgeMs} per view
     this.width = width;
     this.height = height;
     this.captureMinIntervalMs = Math.max(50, Math.floor(Number(captureMinIntervalMs || 200)));
@@ -448,11 +754,20 @@ class RendererPool {
     this.closeBrowserAfterInactiveMs = Math.max(0, Math.floor(Number(closeBrowserAfterInactiveMs || 30000)));
 
     this._browser = null;
-    this._ctx = null;
+    this._contexts = new Map(); // login id ("" = none) -> browser context
     this._sessions = new Map(); // viewId -> _ViewSession
     this._tickTimer = null;
     this._running = false;
     this._lastAnyActiveTs = 0;
+
+    // Watchdog: a stalled view must go this long without a capture (always longer than the probe interval).
+    this.stallTimeoutMs = Math.max(STALL_TIMEOUT_MS, this.captureMaxIntervalMs * 3);
+    this._browserStartTs = 0;
+    this._browserFailures = 0; // consecutive losses / failed launches (reset by a capture after a relaunch)
+    this._nextBrowserTs = 0;
+    this._browserRestarts = 0;
+    this._lastWatchdogError = "";
+    this.onWatchdog = null; // ({viewId, kind, reason}) => void
   }
 
   async start() {
@@ -476,11 +791,7 @@ class RendererPool {
       } catch {}
     }
     this._sessions.clear();
-    try {
-      if (this._browser) await this._browser.close();
-    } catch {}
-    this._browser = null;
-    this._ctx = null;
+    await this._detachBrowser();
   }
 
   async _closeBrowser() {
@@ -493,32 +804,156 @@ class RendererPool {
         s.ctx = null;
       } catch {}
     }
+    await this._detachBrowser();
+  }
+
+  // Forget the browser before closing it, so its "disconnected" event is not taken for a crash.
+  // Login sessions are saved first, so they survive the restart.
+  async _detachBrowser() {
+    const browser = this._browser;
+    for (const id of this._contexts.keys()) await this._saveStorageState(id);
+    this._browser = null;
+    this._contexts.clear();
     try {
-      if (this._browser) await this._browser.close();
+      if (browser) await _withTimeout(browser.close(), 10000);
     } catch {}
-    this._browser = null;
-    this._ctx = null;
+  }
+
+  _watchdogEvent(ev) {
+    this._lastWatchdogError = ev.viewId ? `${ev.viewId}: ${ev.reason}` : ev.reason;
+    if (this.metrics) this.metrics.recoveries.inc({ kind: ev.kind });
+    if (typeof this.onWatchdog === "function") {
+      try {
+        this.onWatchdog(ev);
+      } catch {}
+    }
+  }
+
+  // Chromium crashed / was killed, or the watchdog gave up on it: relaunched by tick() after a backoff.
+  _browserLost(reason) {
+    this._browserFailures++;
+    this._nextBrowserTs = Date.now() + _backoffMs(this._browserFailures);
+    for (const s of this._sessions.values()) s.browserLost(reason);
+    this.log.warn(`renderer: ${reason}; relaunching in ${Math.round(_backoffMs(this._browserFailures) / 1000)}s`);
+    this._watchdogEvent({ viewId: "", kind: "browser", reason });
+  }
+
+  async _restartBrowser(reason) {
+    this._browserRestarts++;
+    this._browserLost(reason);
+    await this._detachBrowser();
   }
 
   async _ensureBrowser() {
-    if (this._browser && this._ctx) return;
-    this._browser = await chromium.launch({
+    if (this._browser) return;
+    if (this.metrics) this.metrics.browserLaunches.inc();
+    const browser = await chromium.launch({
       headless: true,
       args: ["--disable-dev-shm-usage", "--disable-application-cache"],
     });
-    this._ctx = await this._browser.newContext({
-      viewport: { width: this.width, height: this.height },
-      deviceScaleFactor: 1,
+    this._browser = browser;
+    this._browserStartTs = Date.now();
+    browser.on("disconnected", () => {
+      if (this._browser !== browser) return;
+      this._browser = null;
+      this._contexts.clear();
+      this._browserRestarts++;
+      this._browserLost("browser disconnected");
     });
+  }
+
+  _storagePath(loginId) {
+    return path.join(this.storageDir, `storage-${String(loginId).replace(/[^A-Za-z0-9_-]/g, "_")}.json`);
+  }
+
+  // Browser context of a login profile (created on demand): basic auth and extra headers (limited to the
+  // login's origin if it has one), restored from the saved storage state (cookies, local storage).
+  async _context(loginId) {
+    await this._ensureBrowser();
+    const login = (loginId && this.logins.get(loginId)) || null;
+    const id = login ? login.id : "";
+    let ctx = this._contexts.get(id);
+    if (ctx) return ctx;
+    const opts = { viewport: { width: this.width, height: this.height }, deviceScaleFactor: 1 };
+    if (login && login.basic && login.username) {
+      opts.httpCredentials = { username: login.username, password: login.password };
+      if (login.origin) opts.httpCredentials.origin = login.origin;
+    }
+    if (login && !login.origin && Object.keys(login.headers).length) opts.extraHTTPHeaders = login.headers;
+    if (login && login.persist && this.storageDir && fs.existsSync(this._storagePath(id))) {
+      opts.storageState = this._storagePath(id);
+    }
+    ctx = await this._browser.newContext(opts);
+    this._contexts.set(id, ctx);
     const noCache = (headers) => ({
       ...headers,
       "cache-control": "no-cache",
       pragma: "no-cache",
     });
     try {
-      await this._ctx.route(/\/vis\.0\/.*\/vis-views\.json(\?.*)?$/i, (route, req) => route.continue({ headers: noCache(req.headers()) }));
-      await this._ctx.route(/\/vis\.0\/.*\/vis-user\.css(\?.*)?$/i, (route, req) => route.continue({ headers: noCache(req.headers()) }));
+      await ctx.route(/\/vis\.0\/.*\/vis-views\.json(\?.*)?$/i, (route, req) => route.continue({ headers: noCache(req.headers()) }));
+      await ctx.route(/\/vis\.0\/.*\/vis-user\.css(\?.*)?$/i, (route, req) => route.continue({ headers: noCache(req.headers()) }));
+      await ctx.route((u) => u.origin === TEMPLATE_ORIGIN, (route, req) => this._serveTemplate(route, req));
+      // Registered last = runs first; fallback() hands the extended headers on to the routes above.
+      if (login && login.origin && Object.keys(login.headers).length) {
+        await ctx.route(
+          (u) => u.origin === login.origin,
+          (route, req) => route.fallback({ headers: { ...req.headers(), ...login.headers } }),
+        );
+      }
     } catch {}
+    return ctx;
+  }
+
+  // Template view pages (lib/templates.js), rendered with the current values of their bindings.
+  async _serveTemplate(route, req) {
+    const s = this._sessions.get(templateViewId(req.url()) || "");
+    const view = s ? s.view : null;
+    if (!view || !view.template || req.resourceType() !== "document") {
+      await route.fulfill({ status: 404, body: "" });
+      return;
+    }
+    await route.fulfill({
+      status: 200,
+      contentType: "text/html; charset=utf-8",
+      headers: { "cache-control": "no-store" },
+      body: templatePage(view.template, this._templateValues(view)),
+    });
+  }
+
+  _templateValues(view) {
+    const values = { ...view.template.defaults, ...view.bindings.values };
+    for (const [key, stateId] of Object.entries(view.bindings.states)) {
+      const v = this.getStateValue(stateId);
+      values[key] = v === undefined ? null : v;
+    }
+    return values;
+  }
+
+  // A bound ioBroker state changed: update the template views showing it.
+  stateChanged(stateId) {
+    for (const s of this._sessions.values()) {
+      const view = s.view;
+      if (!view || !view.template) continue;
+      const values = {};
+      for (const [key, id] of Object.entries(view.bindings.states)) if (id === stateId) values[key] = this.getStateValue(id);
+      if (Object.keys(values).length) s.pushValues(values).catch(() => {});
+    }
+  }
+
+  // Save a login's cookies / local storage (only readable by the adapter: the file holds session cookies).
+  async _saveStorageState(loginId) {
+    const login = this.logins.get(loginId);
+    const ctx = this._contexts.get(loginId);
+    if (!login || !login.persist || !ctx || !this.storageDir) return;
+    try {
+      const state = await _withTimeout(ctx.storageState(), 5000);
+      if (!state) return;
+      await fs.promises.mkdir(this.storageDir, { recursive: true });
+      await fs.promises.writeFile(this._storagePath(loginId), JSON.stringify(state), { mode: 0o600 });
+    } catch (e) {
+      this.log.warn(`renderer: saving session of login "${loginId}" failed: ${e && e.message ? e.message : e}`);
+    }
   }
 
   _busyFpsToMinIntervalMs(busyFps) {
@@ -550,43 +985,67 @@ class RendererPool {
   }
 
   async _ensureSession(viewCfg) {
-    await this._ensureBrowser();
     const id = String(viewCfg && viewCfg.id ? viewCfg.id : "").trim();
     const url = String(viewCfg && viewCfg.url ? viewCfg.url : "").trim();
+    const login = String((viewCfg && viewCfg.login) || "");
+    const ctx = await this._context(login);
     if (!id || !url) return null;
 
     let s = this._sessions.get(id);
     if (!s) {
       s = new _ViewSession({
         log: this.log,
-        ctx: this._ctx,
+        ctx,
         width: this.width,
         height: this.height,
         captureMinIntervalMs: this.captureMinIntervalMs,
         captureMaxIntervalMs: this.captureMaxIntervalMs,
         autoReloadMs: this.autoReloadMs,
         cacheBustOnReload: this.cacheBustOnReload,
+        history: this.history,
+        metrics: this.metrics,
       });
       s.onFrame = (frame, viewId) => {
         if (typeof this.onFrame === "function") this.onFrame(frame, viewId);
       };
+      s.onWatchdog = (ev) => this._watchdogEvent(ev);
+      s.onLogin = (loginId) => this._saveStorageState(loginId);
       this._sessions.set(id, s);
     } else {
       // Browser/context might have been restarted after idling.
-      s.ctx = this._ctx;
+      s.ctx = ctx;
     }
+    const profile = this.logins.get(login);
+    s.login = profile && profile.form ? profile : null;
     // Make sure its loop is running (it may have been stopped when we closed the browser).
     await s.start();
 
     const minMs = this._busyFpsToMinIntervalMs(viewCfg.busyFps);
-    s.setView({ id, url }, minMs);
+    s.setView(
+      {
+        id,
+        url,
+        renderScale: Number(viewCfg.renderScale || 1),
+        viewportWidth: Number(viewCfg.viewportWidth || 0),
+        viewportHeight: Number(viewCfg.viewportHeight || 0),
+        clip: viewCfg.clip || null,
+        selector: String(viewCfg.selector || ""),
+        color: viewCfg.color || null,
+        login,
+        template: viewCfg.template || null,
+        bindings: viewCfg.bindings || { states: {}, values: {} },
+      },
+      minMs,
+    );
     return s;
   }
 
-  async subscribe(viewCfg) {
+  // `force`: skip the maxActiveViews gate (alert views).
+  async subscribe(viewCfg, { force = false } = {}) {
     const id = String(viewCfg && viewCfg.id ? viewCfg.id : "").trim();
     const gate = this._canActivate(id);
-    if (!gate.ok) {
+    if (!gate.ok && !force) {
+      if (this.metrics) this.metrics.activationRejects.inc({ via: "pool" });
       const err = new Error("too_many_active_views");
       err.code = "too_many_active_views";
       err.limit = this.maxActiveViews;
@@ -596,7 +1055,13 @@ class RendererPool {
     const s = await this._ensureSession(viewCfg);
     if (!s) return null;
     s.subscribe();
-    await s.tick({ inactiveGraceMs: this.inactiveGraceMs, closePageAfterInactiveMs: this.closePageAfterInactiveMs });
+    try {
+      await s.tick({ inactiveGraceMs: this.inactiveGraceMs, closePageAfterInactiveMs: this.closePageAfterInactiveMs });
+    } catch (e) {
+      // A failed subscribe holds nothing.
+      s.unsubscribe();
+      throw e;
+    }
     return s;
   }
 
@@ -607,10 +1072,44 @@ class RendererPool {
     s.unsubscribe();
   }
 
+  requestCapture(viewId) {
+    const s = this._sessions.get(String(viewId || "").trim());
+    if (!s) return false;
+    s.requestCapture();
+    return true;
+  }
+
+  requestReload(viewId) {
+    const s = this._sessions.get(String(viewId || "").trim());
+    if (!s) return false;
+    s.requestReload();
+    return true;
+  }
+
+  release(viewId) {
+    const s = this._sessions.get(String(viewId || "").trim());
+    return s ? s.release(this.inactiveGraceMs) : false;
+  }
+
+  keepAlive(viewId) {
+    const s = this._sessions.get(String(viewId || "").trim());
+    if (s) s.keepAlive();
+  }
+
+  // Stop counting a view as active right away, regardless of its subscribers (the caller is
+  // responsible for dropping them).
+  evict(viewId) {
+    const s = this._sessions.get(String(viewId || "").trim());
+    if (!s) return false;
+    s.forceRelease();
+    return s.release(this.inactiveGraceMs);
+  }
+
   async touchHttp(viewCfg) {
     const id = String(viewCfg && viewCfg.id ? viewCfg.id : "").trim();
     const gate = this._canActivate(id);
     if (!gate.ok) {
+      if (this.metrics) this.metrics.activationRejects.inc({ via: "pool" });
       const err = new Error("too_many_active_views");
       err.code = "too_many_active_views";
       err.limit = this.maxActiveViews;
@@ -629,6 +1128,16 @@ class RendererPool {
     return s ? s.getFrame() : null;
   }
 
+  getFrameByEtag(viewId, etag) {
+    const s = this._sessions.get(String(viewId || "").trim());
+    return s ? s.getFrameByEtag(etag) : null;
+  }
+
+  getHistory(viewId) {
+    const s = this._sessions.get(String(viewId || "").trim());
+    return s ? s.history : null;
+  }
+
   getStatus(viewId) {
     const s = this._sessions.get(String(viewId || "").trim());
     return s ? s.getStatus() : null;
@@ -650,10 +1159,61 @@ class RendererPool {
       closePageAfterInactiveMs: this.closePageAfterInactiveMs,
       closeBrowserAfterInactiveMs: this.closeBrowserAfterInactiveMs,
       browserOpen: !!this._browser,
+      health: this.getHealth(),
       views,
     };
   }
 
+  /**
+   * Watchdog view of the renderer: not ok while a wanted view is stalled / recovering or the browser is down.
+   */
+  getHealth() {
+    const now = Date.now();
+    const active = this._activeViewIds(now);
+    const views = {};
+    let ok = true;
+    for (const id of active) {
+      const h = this._sessions.get(id).getHealth(now, this.stallTimeoutMs);
+      views[id] = h;
+      if (!h.ok) ok = false;
+    }
+    const down = !this._browser && active.length > 0;
+    if (down) ok = false;
+    return {
+      ok,
+      browser: this._browser ? "up" : down ? "down" : "idle",
+      browserRestarts: this._browserRestarts,
+      nextRelaunchTs: down && this._nextBrowserTs > now ? this._nextBrowserTs : null,
+      lastError: this._lastWatchdogError || null,
+      views,
+    };
+  }
+
+  // Relaunch a lost browser (with backoff) while views need it; replace stalled pages, or the whole
+  // browser if a view keeps stalling.
+  async _watchdog(active) {
+    const now = Date.now();
+    if (!this._browser && active.length > 0 && now >= this._nextBrowserTs) {
+      try {
+        for (const s of this._sessions.values()) s.ctx = await this._context(s.view ? s.view.login : "");
+        this.log.info("renderer: browser relaunched");
+      } catch (e) {
+        this._browserLost(`browser launch failed: ${e && e.message ? e.message : e}`);
+        return;
+      }
+    }
+    if (!this._browser) return;
+    for (const s of this._sessions.values()) {
+      if (this._browserFailures && s._lastCaptureTs > this._browserStartTs) this._browserFailures = 0;
+      if (!s.stalled(now, this.stallTimeoutMs)) continue;
+      if (s._pageFailures >= STALLS_BEFORE_BROWSER_RESTART) {
+        await this._restartBrowser(`view ${s.view ? s.view.id : "?"} keeps stalling`);
+        return;
+      }
+      s.recyclePage(`no capture for ${Math.round(this.stallTimeoutMs / 1000)}s`);
+    }
+  }
+
   async tick() {
     const now = Date.now();
     const active = this._activeViewIds(now);
@@ -669,6 +1229,8 @@ class RendererPool {
     // They will be re-activated on demand by subscribe()/touchHttp().
     if (!this._browser && active.length === 0) return;
 
+    await this._watchdog(active);
+
     const opts = { inactiveGraceMs: this.inactiveGraceMs, closePageAfterInactiveMs: this.closePageAfterInactiveMs };
     for (const s of this._sessions.values()) {
       await s.tick(opts);
@@ -0,0 +1,110 @@
+"use strict";
+
+/**
+ * Area-average (box filter) resampling for RGBA images.
+ *
+ * Each destination pixel is the coverage-weighted mean of the source pixels under its footprint,
+ * which is the right filter for integer and fractional supersampling (no aliasing of thin fonts and
+ * lines). Done as two separable passes (horizontal, then vertical).
+ *
+ * `scaleNearest` is the opposite direction: integer pixel replication, for viewing LED-sized frames
+ * on normal screens without blurring.
+ */
+
+// For each destination index: list of [sourceIndex, weight] with weights summing to 1.
+function _weights(srcLen, dstLen) {
+  const scale = srcLen / dstLen;
+  const out = new Array(dstLen);
+  for (let d = 0; d < dstLen; d++) {
+    const a = d * scale;
+    const b = Math.min(srcLen, (d + 1) * scale);
+    const w = [];
+    let sum = 0;
+    for (let s = Math.floor(a); s < Math.ceil(b); s++) {
+      const cover = Math.min(b, s + 1) - Math.max(a, s);
+      if (cover <= 0) continue;
+      w.push([s, cover]);
+      sum += cover;
+    }
+    for (const e of w) e[1] /= sum;
+    out[d] = w;
+  }
+  return out;
+}
+
+/**
+ * Resize an RGBA image to `width`×`height`.
+ * @param {{width:number,height:number,data:Buffer}} img
+ * @returns {{width:number,height:number,data:Buffer}}
+ */
+function resizeArea(img, width, height) {
+  if (img.width === width && img.height === height) return img;
+  const sw = img.width;
+  const sh = img.height;
+  const src = img.data;
+
+  const wx = _weights(sw, width);
+  const tmp = new Float32Array(width * sh * 4);
+  for (let y = 0; y < sh; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      for (const [sx, w] of wx[x]) {
+        const i = (y * sw + sx) * 4;
+        tmp[o] += src[i] * w;
+        tmp[o + 1] += src[i + 1] * w;
+        tmp[o + 2] += src[i + 2] * w;
+        tmp[o + 3] += src[i + 3] * w;
+      }
+    }
+  }
+
+  const wy = _weights(sh, height);
+  const out = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (const [sy, w] of wy[y]) {
+        const i = (sy * width + x) * 4;
+        r += tmp[i] * w;
+        g += tmp[i + 1] * w;
+        b += tmp[i + 2] * w;
+        a += tmp[i + 3] * w;
+      }
+      out[o] = Math.round(r);
+      out[o + 1] = Math.round(g);
+      out[o + 2] = Math.round(b);
+      out[o + 3] = Math.round(a);
+    }
+  }
+  return { width, height, data: out };
+}
+
+/**
+ * Upscale an RGBA image by an integer factor (each pixel becomes a `factor`×`factor` block).
+ * @returns {{width:number,height:number,data:Buffer}}
+ */
+function scaleNearest(img, factor) {
+  const f = Math.max(1, Math.floor(Number(factor) || 1));
+  if (f === 1) return img;
+  const width = img.width * f;
+  const height = img.height * f;
+  const out = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < img.height; y++) {
+    const row = Buffer.alloc(width * 4);
+    for (let x = 0; x < img.width; x++) {
+      const s = (y * img.width + x) * 4;
+      for (let k = 0; k < f; k++) img.data.copy(row, (x * f + k) * 4, s, s + 4);
+    }
+    for (let k = 0; k < f; k++) row.copy(out, (y * f + k) * width * 4);
+  }
+  return { width, height, data: out };
+}
+
+module.exports = {
+  resizeArea,
+  scaleNearest,
+};
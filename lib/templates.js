@@ -0,0 +1,202 @@
+"use strict";
+
+const { URL } = require("node:url");
+
+/**
+ * Built-in HTML template views (no VIS runtime required).
+ *
+ * A template is HTML + CSS with `{{key}}` placeholders (in text, attributes and the CSS). Keys are bound per view
+ * (`value=javascript.0.pv; unit='W'`): unquoted = ioBroker state id, quoted = literal. Keys not bound by the view
+ * fall back to the template's defaults and to the built-ins `time` (HH:MM), `timeSeconds` and `date`.
+ * `{{key|2}}` shows a number with 2 decimals, `{{key|decimals}}` with as many as the key `decimals`,
+ * `{{key|pct}}` as percentage of `min`..`max` (default 0..100).
+ *
+ * The page is served to the renderer by a browser context route (see RendererPool) and updated in place via
+ * `window.__hbUpdate(values)`; elements with `data-hb-ticker="<px/s>"` scroll their content (driven by JS, since
+ * screenshots stop CSS animations).
+ */
+
+// Never resolved: requests to this origin are answered by the renderer's context route.
+const TEMPLATE_ORIGIN = "http://home-banner.template";
+
+const _BASE_CSS = "html,body{margin:0;width:100%;height:100%;overflow:hidden;background:#000;color:{{color}};" +
+  "font-family:'DejaVu Sans',Arial,sans-serif}";
+
+const BUNDLED_TEMPLATES = {
+  clock: {
+    html: '<div class="hb-clock"><div class="hb-time">{{time}}</div><div class="hb-date">{{date}}</div></div>',
+    css:
+      ".hb-clock{height:100%;display:flex;flex-direction:column;align-items:center;justify-content:center}" +
+      ".hb-time{font-size:62vh;line-height:1;font-weight:bold}.hb-date{font-size:28vh;line-height:1;opacity:.7}",
+    defaults: { locale: "" },
+  },
+  ticker: {
+    html: '<div class="hb-ticker"><span data-hb-ticker="{{speed}}">{{text}}</span></div>',
+    css: ".hb-ticker{height:100%;display:flex;align-items:center;white-space:nowrap;font-size:70vh}",
+    defaults: { speed: 40, text: "" },
+  },
+  bignumber: {
+    html:
+      '<div class="hb-big"><div class="hb-label">{{label}}</div>' +
+      '<div class="hb-value">{{value|decimals}}<span class="hb-unit">{{unit}}</span></div></div>',
+    css:
+      ".hb-big{height:100%;display:flex;flex-direction:column;align-items:center;justify-content:center}" +
+      ".hb-label{font-size:24vh;line-height:1;opacity:.7}.hb-value{font-size:64vh;line-height:1;font-weight:bold}" +
+      ".hb-unit{font-size:32vh;font-weight:normal;margin-left:.2em}",
+    defaults: { label: "", unit: "", decimals: "" },
+  },
+  progress: {
+    html:
+      '<div class="hb-progress"><div class="hb-row"><span>{{label}}</span><span>{{value|decimals}}{{unit}}</span></div>' +
+      '<div class="hb-track"><div class="hb-bar" style="width:{{value|pct}}%"></div></div></div>',
+    css:
+      ".hb-progress{height:100%;display:flex;flex-direction:column;justify-content:center;padding:0 4vh;box-sizing:border-box}" +
+      ".hb-row{display:flex;justify-content:space-between;font-size:34vh;line-height:1.1}" +
+      ".hb-track{height:30vh;margin-top:6vh;background:#222}.hb-bar{height:100%;background:{{barColor}}}",
+    defaults: { barColor: "#2e7d32", label: "", unit: "%", decimals: 0, min: 0, max: 100 },
+  },
+};
+
+// Runs in the page: binds placeholders, applies value updates, drives tickers.
+const _RUNTIME = `(function () {
+  var values = window.__hbValues || {};
+  var RE = /\\{\\{\\s*([^}|\\s]+)\\s*(?:\\|\\s*([^}\\s]+)\\s*)?\\}\\}/g;
+  var bound = [];
+  function pad(n) { return (n < 10 ? "0" : "") + n; }
+  function builtin(key) {
+    var d = new Date();
+    if (key === "time") return pad(d.getHours()) + ":" + pad(d.getMinutes());
+    if (key === "timeSeconds") return pad(d.getHours()) + ":" + pad(d.getMinutes()) + ":" + pad(d.getSeconds());
+    if (key === "date") return d.toLocaleDateString(values.locale || undefined, { weekday: "short", day: "2-digit", month: "2-digit" });
+    return "";
+  }
+  function isNum(v) { return v !== "" && v !== null && typeof v !== "boolean" && isFinite(v); }
+  function fmt(v, f) {
+    if (v === undefined || v === null) return "";
+    if (f && isNum(v)) {
+      var n = Number(v);
+      if (f === "pct") {
+        var min = isNum(values.min) ? Number(values.min) : 0;
+        var max = isNum(values.max) ? Number(values.max) : 100;
+        return String(max > min ? Math.round(Math.min(100, Math.max(0, ((n - min) / (max - min)) * 100)) * 10) / 10 : 0);
+      }
+      var dec = /^\\d+$/.test(f) ? f : values[f];
+      if (isNum(dec)) return n.toFixed(Math.min(10, Math.max(0, Math.floor(Number(dec)))));
+    }
+    return String(v);
+  }
+  function render(tpl) {
+    return tpl.replace(RE, function (_, key, f) {
+      return fmt(Object.prototype.hasOwnProperty.call(values, key) ? values[key] : builtin(key), f);
+    });
+  }
+  function apply() {
+    for (var i = 0; i < bound.length; i++) {
+      var b = bound[i];
+      var s = render(b.tpl);
+      if (b.attr) {
+        if (b.el.getAttribute(b.attr) !== s) b.el.setAttribute(b.attr, s);
+      } else if (b.node.nodeValue !== s) {
+        b.node.nodeValue = s;
+      }
+    }
+  }
+  function bind() {
+    var walker = document.createTreeWalker(document.documentElement, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    for (var n = walker.currentNode; n; n = walker.nextNode()) {
+      if (n.nodeType === 3) {
+        if (n.nodeValue.indexOf("{{") >= 0 && n.parentNode.nodeName !== "SCRIPT") bound.push({ node: n, tpl: n.nodeValue });
+        continue;
+      }
+      for (var a = 0; a < n.attributes.length; a++) {
+        if (n.attributes[a].value.indexOf("{{") >= 0) bound.push({ el: n, attr: n.attributes[a].name, tpl: n.attributes[a].value });
+      }
+    }
+    apply();
+    setInterval(apply, 1000);
+    var last = 0;
+    var pos = new Map();
+    function scroll(ts) {
+      var dt = last ? Math.min(0.25, (ts - last) / 1000) : 0;
+      last = ts;
+      document.querySelectorAll("[data-hb-ticker]").forEach(function (el) {
+        var speed = Number(el.getAttribute("data-hb-ticker")) || 0;
+        var box = el.parentNode.clientWidth;
+        var x = pos.has(el) ? pos.get(el) - speed * dt : box;
+        if (x < -el.offsetWidth) x = box;
+        pos.set(el, x);
+        var t = "translateX(" + Math.round(x) + "px)";
+        if (el.style.transform !== t) el.style.transform = t;
+      });
+      requestAnimationFrame(scroll);
+    }
+    document.querySelectorAll("[data-hb-ticker]").forEach(function (el) { el.style.display = "inline-block"; });
+    requestAnimationFrame(scroll);
+  }
+  window.__hbUpdate = function (v) {
+    for (var k in v) values[k] = v[k];
+    apply();
+  };
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", bind);
+  else bind();
+})();`;
+
+function templateUrl(viewId) {
+  return `${TEMPLATE_ORIGIN}/${encodeURIComponent(String(viewId || ""))}`;
+}
+
+// View id of a template page URL; null for other URLs.
+function templateViewId(url) {
+  try {
+    const u = new URL(String(url || ""));
+    if (u.origin !== TEMPLATE_ORIGIN) return null;
+    return decodeURIComponent(u.pathname.slice(1));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Bindings "value=javascript.0.pv; unit='W'; label=\"PV\"" (separated by semicolon or newline).
+ * @returns {{states:Object<string,string>, values:Object<string,string>}} key -> state id / literal
+ */
+function parseBindings(text) {
+  const states = {};
+  const values = {};
+  for (const part of String(text || "").split(/[;\n]+/)) {
+    const m = /^\s*([A-Za-z_][\w-]*)\s*=\s*(.*?)\s*$/.exec(part);
+    if (!m) continue;
+    const q = /^(['"])(.*)\1$/.exec(m[2]);
+    if (q) values[m[1]] = q[2];
+    else if (m[2]) states[m[1]] = m[2];
+  }
+  return { states, values };
+}
+
+function _json(obj) {
+  // Safe inside <script>.
+  return JSON.stringify(obj).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+}
+
+/**
+ * Full HTML document of a template view with its current values.
+ * @param {{html:string, css:string}} template
+ * @param {Object<string,any>} values
+ */
+function templatePage(template, values) {
+  return (
+    '<!doctype html><html><head><meta charset="utf-8">' +
+    `<style>${_BASE_CSS}${template.css || ""}</style>` +
+    `<script>window.__hbValues = ${_json({ color: "#fff", ...values })};\n${_RUNTIME}</script>` +
+    `</head><body>${template.html || ""}</body></html>`
+  );
+}
+
+module.exports = {
+  TEMPLATE_ORIGIN,
+  BUNDLED_TEMPLATES,
+  templateUrl,
+  templateViewId,
+  parseBindings,
+  templatePage,
+};
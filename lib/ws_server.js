@@ -3,20 +3,29 @@
 const { WebSocketServer } = require("ws");
 const url = require("node:url");
 
-function createWsServer({ httpServer, authToken, onMessage }) {
-  const wss = new WebSocketServer({ server: httpServer });
+function createWsServer({ httpServers, access, onMessage }) {
+  // One endpoint on every listener (HTTPS and the optional plain HTTP port).
+  const wss = new WebSocketServer({ noServer: true });
+  for (const server of httpServers) {
+    server.on("upgrade", (req, socket, head) => {
+      wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
+    });
+  }
+  // Authenticated caller per connection (scopes are checked by the message handler).
+  const principals = new WeakMap();
 
   wss.on("connection", (ws, req) => {
     try {
-      if (authToken) {
+      if (access) {
         const u = url.parse(req.url || "/", true);
-        const token = String(u.query && u.query.token ? u.query.token : "");
-        if (token !== authToken) {
+        const auth = access.authenticate(req, u.query);
+        if (auth.error) {
           try {
-            ws.close(4001, "unauthorized");
+            ws.close(4001, auth.error);
           } catch {}
           return;
         }
+        principals.set(ws, auth.principal);
       }
 
       ws.on("message", (raw) => {
@@ -53,6 +62,52 @@ function createWsServer({ httpServer, authToken, onMessage }) {
     }
   }
 
+  // Latest-only binary sender: while a frame is still being written to a slow socket, newer
+  // frames replace the queued one instead of piling up (a lagging device skips to the newest frame).
+  // `buf` may be a function producing the bytes; it is called only when the message is actually sent
+  // (delta frames must be computed against what the client really received).
+  // `channel` separates independent streams on one socket (e.g. several subscribed views).
+  const outbox = new WeakMap(); // ws -> Map(channel -> { busy, next })
+
+  function sendLatest(ws, buf, channel = "") {
+    if (!ws || ws.readyState !== ws.OPEN) return false;
+    let byChannel = outbox.get(ws);
+    if (!byChannel) {
+      byChannel = new Map();
+      outbox.set(ws, byChannel);
+    }
+    let st = byChannel.get(channel);
+    if (!st) {
+      st = { busy: false, next: null };
+      byChannel.set(channel, st);
+    }
+    if (st.busy) {
+      st.next = buf;
+      return true;
+    }
+    const flush = (b) => {
+      st.busy = true;
+      try {
+        const data = typeof b === "function" ? b() : b;
+        if (!data) {
+          st.busy = false;
+          return;
+        }
+        ws.send(data, { binary: true }, (err) => {
+          const n = st.next;
+          st.next = null;
+          if (!err && n && ws.readyState === ws.OPEN) flush(n);
+          else st.busy = false;
+        });
+      } catch {
+        st.busy = false;
+        st.next = null;
+      }
+    };
+    flush(buf);
+    return true;
+  }
+
   function send(ws, obj) {
     try {
       if (!ws || ws.readyState !== ws.OPEN) return false;
@@ -66,7 +121,9 @@ function createWsServer({ httpServer, authToken, onMessage }) {
   return {
     broadcast,
     send,
+    sendLatest,
     clients: () => wss.clients,
+    principalOf: (ws) => principals.get(ws) || null,
     close: () =>
       new Promise((resolve) => {
         try {
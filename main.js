@@ -2,9 +2,61 @@
 
 const utils = require("@iobroker/adapter-core");
 const { normalizeConfig } = require("./lib/config");
+const { AccessControl } = require("./lib/auth");
 const { createHttpServer } = require("./lib/http_server");
 const { createWsServer } = require("./lib/ws_server");
 const { RendererPool } = require("./lib/renderer");
+const { PlaylistRunner } = require("./lib/playlist");
+const { AlertManager } = require("./lib/alerts");
+const { TELEMETRY_FIELDS, DeviceRegistry } = require("./lib/devices");
+const { createBridgeMetrics } = require("./lib/metrics");
+const { FRAME_FORMAT_NAMES, frameBytes, packFrameMessage } = require("./lib/frame_formats");
+const { DELTA_FORMATS, buildDelta, buildKeyframe } = require("./lib/delta");
+
+// Per-view states (views.<id>.*).
+const VIEW_STATES = {
+  lastCaptureTs: { name: "Last capture ts", type: "number", role: "value.time", read: true, write: false, def: 0 },
+  etag: { name: "Frame ETag", type: "string", role: "text", read: true, write: false, def: "" },
+  subscribers: { name: "WS subscribers", type: "number", role: "value", read: true, write: false, def: 0 },
+  fps: { name: "Frames per second", type: "number", role: "value", unit: "fps", read: true, write: false, def: 0 },
+  pageOpen: { name: "Page open", type: "boolean", role: "indicator", read: true, write: false, def: false },
+  lastError: { name: "Last error", type: "string", role: "text", read: true, write: false, def: "" },
+  reload: { name: "Reload view", type: "boolean", role: "button", read: false, write: true, def: false },
+  captureNow: { name: "Capture now", type: "boolean", role: "button", read: false, write: true, def: false },
+  enabled: { name: "Enabled", type: "boolean", role: "switch.enable", read: true, write: true, def: true },
+};
+
+// devices.<id>.* (besides the writable activeView), written from the device registry
+const DEVICE_STATES = {
+  online: { name: "Connected", type: "boolean", role: "indicator.reachable", read: true, write: false, def: false },
+  view: { name: "Subscribed view ids", type: "string", role: "text", read: true, write: false, def: "" },
+  lag: { name: "Unacknowledged frame age", type: "number", role: "value", unit: "ms", read: true, write: false, def: 0 },
+  lastSeen: { name: "Last message ts", type: "number", role: "value.time", read: true, write: false, def: 0 },
+  firmware: { name: "Firmware version", type: "string", role: "info.firmware", read: true, write: false, def: "" },
+  reconnects: { name: "Reconnects since adapter start", type: "number", role: "value", read: true, write: false, def: 0 },
+  // Telemetry reported by the device (brightness / power are also writable commands)
+  temperature: { name: "Temperature", type: "number", role: "value.temperature", unit: "°C", read: true, write: false, def: 0 },
+  rssi: { name: "Wi-Fi signal", type: "number", role: "value", unit: "dBm", read: true, write: false, def: 0 },
+  uptime: { name: "Device uptime", type: "number", role: "value", unit: "s", read: true, write: false, def: 0 },
+  brightness: { name: "Panel brightness", type: "number", role: "level.dimmer", unit: "%", min: 0, max: 100, read: true, write: true, def: 100 },
+  power: { name: "Panel on", type: "boolean", role: "switch.power", read: true, write: true, def: true },
+  // Commands
+  reboot: { name: "Reboot device", type: "boolean", role: "button", read: false, write: true, def: false },
+  message: { name: "Show message", type: "string", role: "text", read: true, write: true, def: "" },
+  command: { name: "Raw command (JSON {command, args} or name)", type: "string", role: "json", read: true, write: true, def: "" },
+  commandResult: { name: "Last command result", type: "string", role: "json", read: true, write: false, def: "" },
+};
+
+// Device commands behind the writable devices.<id>.* states: state -> (val) => [command, args]
+const DEVICE_COMMAND_STATES = {
+  brightness: (val) => ["setBrightness", { value: Math.min(100, Math.max(0, Math.round(Number(val) || 0))) }],
+  power: (val) => ["setPower", { on: !!val }],
+  reboot: () => ["reboot", {}],
+  message: (val) => ["showMessage", { text: String(val === null || val === undefined ? "" : val) }],
+};
+const DEVICE_COMMAND_TIMEOUT_MS = 10000;
+// Admin tab holds lapse when the tab stops polling getPreview (every second) for this long.
+const ADMIN_HOLD_LEASE_MS = 5000;
 
 class HomeBannerAdapter extends utils.Adapter {
   constructor(options = {}) {
@@ -15,16 +67,21 @@ class HomeBannerAdapter extends utils.Adapter {
 
     this.on("ready", this.onReady.bind(this));
     this.on("stateChange", this.onStateChange.bind(this));
+    this.on("message", this.onMessage.bind(this));
     this.on("unload", this.onUnload.bind(this));
 
     this._cfg = null;
+    this._access = null;
     this._http = null;
     this._ws = null;
     this._pool = null;
     this._poolStarted = false;
+    this._metrics = createBridgeMetrics();
     this._activeViewId = ""; // legacy/admin default (used for compatibility only)
+    this._watchdogError = ""; // last renderer watchdog event, until the renderer is healthy again
 
-    // WS connection state: ws -> { viewId }
+    // WS connection state: ws -> { viewId, subs, multi, push, format, delta, deviceKey, follow }
+    // (`subs`: key -> {key, viewId, alias, lastEtag}; key = alias or view id; `viewId` = last subscribed view)
     this._wsMeta = new Map();
     // Subscriptions: viewId -> Set(ws)
     this._subs = new Map();
@@ -33,13 +90,43 @@ class HomeBannerAdapter extends utils.Adapter {
 
     // Pending activations (race guard): viewId -> expiresAtMs
     this._pendingActive = new Map();
+    // WS subscriptions waiting for a free slot (activationPolicy "queue"), FIFO: [{ws, viewId, alias, ts}]
+    this._activationQueue = [];
+    // Recent non-trivial activation decisions (evicted / rejected / queued / dequeued), newest last
+    this._activationLog = [];
 
     // HTTP waiters: viewId -> Set(resolveFn)
     this._frameWaiters = new Map();
+    // Open HTTP streams (MJPEG, SSE): viewId -> count (each holds a renderer subscription)
+    this._streams = new Map();
+
+    // Playlists (virtual views): playlistId -> PlaylistRunner
+    this._playlists = new Map();
+    // Renderer subscription held by each running playlist: playlistId -> viewId
+    this._playlistHeld = new Map();
+    // Foreign states referenced by conditions: stateId -> last value
+    this._stateValues = new Map();
+    // Priority alert interrupts (created in onReady)
+    this._alerts = null;
+    // Alert rules currently holding a renderer subscription on their alert view: Set(ruleId)
+    this._alertHeld = new Set();
+    this._maintTimer = null;
+    // Devices announced in WS `hello` (created in onReady)
+    this._devices = null;
+    // Device channels already created: Set(deviceKey)
+    this._deviceObjects = new Set();
+    // Per-view state tree: objKey -> viewId
+    this._viewKeys = new Map();
+    // Last written values of views.* / devices.* states (write on change only): state id -> val
+    this._stateCache = new Map();
+    // Views kept rendering from the admin preview tab: Set(viewId)
+    this._adminHeld = new Map(); // viewId -> lease expiry (refreshed by getPreview)
   }
 
   async onReady() {
-    this._cfg = normalizeConfig(this.config);
+    this._cfg = normalizeConfig(await this._loadSecrets());
+    this._access = new AccessControl({ authToken: this._cfg.authToken, tokens: this._cfg.tokens, signedUrlTtlMs: this._cfg.signedUrlTtlMs });
+    this._devices = new DeviceRegistry({ timeoutMs: this._cfg.deviceTimeoutMs, send: (ws, obj) => !!this._ws && this._ws.send(ws, obj) });
     this._viewsById.clear();
     for (const v of this._cfg.views || []) {
       if (!v || typeof v !== "object") continue;
@@ -48,6 +135,28 @@ class HomeBannerAdapter extends utils.Adapter {
       this._viewsById.set(id, v);
     }
 
+    this._playlists.clear();
+    for (const p of this._cfg.playlists || []) {
+      if (!p.enabled) continue;
+      const runner = new PlaylistRunner({
+        playlist: p,
+        log: this.log,
+        getStateValue: (stateId) => this._stateValues.get(stateId),
+        isViewAvailable: (viewId) => !!this._viewCfg(viewId),
+        onSwitch: (prev, next) => this._onPlaylistSwitch(runner, prev, next),
+        prewarm: (viewId) => this._prewarmView(viewId),
+        prewarmMs: this._cfg.playlistPrewarmMs,
+      });
+      this._playlists.set(p.id, runner);
+    }
+
+    this._alerts = new AlertManager({
+      rules: this._cfg.alerts,
+      log: this.log,
+      onStart: (rule) => this._onAlertStart(rule),
+      onEnd: (rule) => this._onAlertEnd(rule),
+    });
+
     await this.setObjectNotExistsAsync("info.connection", {
       type: "state",
       common: { name: "Connected", type: "boolean", role: "indicator.connected", read: true, write: false, def: false },
@@ -85,7 +194,23 @@ class HomeBannerAdapter extends utils.Adapter {
       native: {},
     });
 
+    await this._syncViewObjects();
+    await this._resetDeviceStates();
+
     await this.subscribeStatesAsync("control.*");
+    await this.subscribeStatesAsync("devices.*");
+    await this.subscribeStatesAsync("views.*");
+
+    const conditionStates = [];
+    for (const p of this._cfg.playlists || []) {
+      for (const e of p.entries) if (e.condition) conditionStates.push(e.condition.stateId);
+    }
+    // States bound to template views.
+    const templateStates = [];
+    for (const v of this._cfg.views || []) {
+      if (v.enabled && v.template) templateStates.push(...Object.values(v.bindings.states));
+    }
+    await this._watchForeignStates(conditionStates.concat(this._alerts.stateIds(), templateStates));
 
     // Resolve initial active view id: state → config default → first enabled view.
     const cur = await this.getStateAsync("control.activeView");
@@ -109,43 +234,152 @@ class HomeBannerAdapter extends utils.Adapter {
       inactiveGraceMs: this._cfg.inactiveGraceMs,
       closePageAfterInactiveMs: this._cfg.closePageAfterInactiveMs,
       closeBrowserAfterInactiveMs: this._cfg.closeBrowserAfterInactiveMs,
+      history: this._cfg.history,
+      metrics: this._metrics,
+      logins: this._cfg.logins,
+      // Saved login sessions (Playwright storage state) survive browser and adapter restarts.
+      storageDir: utils.getAbsoluteInstanceDataDir(this),
+      getStateValue: (stateId) => this._stateValues.get(stateId),
     });
+    this._registerGauges();
     this._pool.onFrame = async (frame, viewId) => {
       await this._onFrame(viewId, frame);
     };
+    this._pool.onWatchdog = (ev) => this._onWatchdog(ev);
 
     // Start HTTP server first (frame endpoint + WS upgrade).
     const statusFn = () => ({
       config: {
         host: this._cfg.listenHost,
         port: this._cfg.listenPort,
+        secure: this._cfg.secure,
+        plainPort: this._cfg.plainPort || null,
         width: this._cfg.canvasWidth,
         height: this._cfg.canvasHeight,
       },
       // Compatibility: keep activeViewId, but multi-view clients should use activeViews / views.
       activeViewId: this._activeViewId || null,
       pool: this._pool ? this._pool.getPoolStatus() : null,
+      playlists: Object.fromEntries(Array.from(this._playlists.values()).map((p) => [p.id, p.getStatus()])),
+      alerts: this._alerts ? this._alerts.getStatus() : [],
+      devices: this._deviceStatus(),
+      activation: {
+        policy: this._cfg.activationPolicy,
+        queue: this._activationQueue.map((q, i) => ({ position: i + 1, viewId: q.viewId, alias: q.alias, since: q.ts })),
+        decisions: this._activationLog.slice(),
+      },
     });
 
+    let tls = null;
+    if (this._cfg.secure) {
+      try {
+        const [certs] = await this.getCertificatesAsync(this._cfg.certPublic, this._cfg.certPrivate, this._cfg.certChained);
+        if (!certs || !certs.key || !certs.cert) throw new Error("certificate or key not found");
+        tls = certs;
+      } catch (e) {
+        // Stop instead of silently serving nothing (or falling back to plain HTTP).
+        this.log.error(`HTTPS enabled but the certificates cannot be loaded: ${e && e.message ? e.message : e}`);
+        await this.setStateAsync("info.connection", { val: false, ack: true });
+        this.terminate("certificates cannot be loaded", utils.EXIT_CODES.INVALID_ADAPTER_CONFIG);
+        return;
+      }
+    }
+
     this._http = createHttpServer({
       host: this._cfg.listenHost,
       port: this._cfg.listenPort,
-      authToken: this._cfg.authToken,
+      tls,
+      plainPort: this._cfg.plainPort,
+      access: this._access,
       getStatus: statusFn,
-      getFrame: (viewId) => (this._pool ? this._pool.getFrame(viewId) : null),
+      getHealth: () => this._health(),
+      getFrame: (viewId) => (this._pool ? this._pool.getFrame(this._sourceViewId(viewId)) : null),
+      getFrameByEtag: (viewId, etag) => (this._pool ? this._pool.getFrameByEtag(this._sourceViewId(viewId), etag) : null),
+      // History is per rendered view; playlist/alert ids are not resolved (their source changes over time).
+      getHistory: (viewId) => (this._pool ? this._pool.getHistory(viewId) : null),
       onFrameRequest: (viewId) => this._onHttpFrameRequest(viewId),
-      waitForFrame: (viewId, waitMs) => this._waitForFrame(viewId, waitMs),
+      onStreamOpen: (viewId) => this._onStreamOpen(viewId),
+      onStreamClose: (viewId) => this._onStreamClose(viewId),
+      frameMessage: (viewId, frame) => this._frameMessage(viewId, frame),
+      waitForFrame: (viewId, waitMs, sinceEtag) => this._waitForFrame(viewId, waitMs, sinceEtag),
+      getMetrics: () => this._metrics.registry.render(),
+      metrics: this._metrics,
     });
     await this._http.start();
 
     this._ws = createWsServer({
-      httpServer: this._http.rawServer,
-      authToken: this._cfg.authToken,
+      httpServers: this._http.rawServers,
+      access: this._access,
       onMessage: (ws, msg) => this._onWsMessage(ws, msg),
     });
 
+    // Maintenance: stop playlists nobody is watching anymore; refresh per-view states.
+    this._maintTimer = setInterval(() => {
+      this._tickPlaylists().catch(() => {});
+      this._expireAdminHolds();
+      this._drainActivationQueue();
+      this._keepWaitersAlive();
+      this._updateViewStates().catch(() => {});
+      this._checkDeviceHeartbeats();
+      this._checkHealth();
+      this._updateDeviceStates().catch(() => {});
+    }, 1000);
+
     await this.setStateAsync("info.connection", { val: true, ack: true });
-    this.log.info(`Listening on http://${this._cfg.listenHost}:${this._cfg.listenPort} (token ${this._cfg.authToken ? "enabled" : "disabled"})`);
+    const plain = tls && this._cfg.plainPort ? ` and http://${this._cfg.listenHost}:${this._cfg.plainPort}` : "";
+    this.log.info(`Listening on ${tls ? "https" : "http"}://${this._cfg.listenHost}:${this._cfg.listenPort}${plain} (auth ${this._access.enabled ? `enabled, ${this._cfg.tokens.length} scoped token(s)` : "disabled"})`);
+  }
+
+  // Login passwords and scoped token values are encrypted by the admin (table `encryptedAttributes`). Values saved
+  // in plain text before that are encrypted once, marked by `native.secretsEncrypted`.
+  async _loadSecrets() {
+    const map = (rows, attr, fn) =>
+      Array.isArray(rows)
+        ? rows.map((r) => (r && typeof r === "object" && typeof r[attr] === "string" && r[attr] ? { ...r, [attr]: fn(r[attr]) } : r))
+        : rows;
+    if (this.config.secretsEncrypted === true) {
+      const dec = (v) => {
+        try {
+          return this.decrypt(v);
+        } catch {
+          return "";
+        }
+      };
+      return { ...this.config, logins: map(this.config.logins, "password", dec), tokens: map(this.config.tokens, "token", dec) };
+    }
+    const enc = (v) => this.encrypt(v);
+    try {
+      await this.extendForeignObjectAsync(`system.adapter.${this.namespace}`, {
+        native: { secretsEncrypted: true, logins: map(this.config.logins, "password", enc), tokens: map(this.config.tokens, "token", enc) },
+      });
+      this.log.info("Stored login passwords and scoped tokens are now encrypted");
+    } catch (e) {
+      this.log.warn(`Cannot encrypt stored login passwords / scoped tokens: ${e && e.message ? e.message : e}`);
+    }
+    // Still plain text in this run.
+    return { ...this.config };
+  }
+
+  // Scrape-time gauges (values are read from the live pool / WS server).
+  _registerGauges() {
+    const reg = this._metrics.registry;
+    reg.gauge("ws_clients", "Connected WebSocket clients.", () => [{ labels: {}, value: this._ws ? this._ws.clients().size : 0 }]);
+    reg.gauge("http_streams", "Open HTTP streams by kind (mjpeg, sse).", () =>
+      ["mjpeg", "sse"].map((kind) => ({ labels: { kind }, value: this._http ? this._http.streamCount(kind) : 0 })),
+    );
+    reg.gauge("active_views", "Views currently counted as active.", () => [
+      { labels: {}, value: this._pool ? this._pool.getPoolStatus().activeViews.length : 0 },
+    ]);
+    reg.gauge("browser_open", "1 if Chromium is running.", () => [{ labels: {}, value: this._pool && this._pool.getPoolStatus().browserOpen ? 1 : 0 }]);
+    reg.gauge("view_page_open", "1 if the view's page is open.", () =>
+      Object.entries(this._pool ? this._pool.getPoolStatus().views : {}).map(([view, st]) => ({ labels: { view }, value: st.pageOpen ? 1 : 0 })),
+    );
+    reg.gauge("view_subscribers", "Renderer subscribers per view.", () =>
+      Object.entries(this._pool ? this._pool.getPoolStatus().views : {}).map(([view, st]) => ({ labels: { view }, value: st.subscribers })),
+    );
+    reg.gauge("view_fps", "Changed frames per second per view (10 s window).", () =>
+      Object.entries(this._pool ? this._pool.getPoolStatus().views : {}).map(([view, st]) => ({ labels: { view }, value: st.fps })),
+    );
   }
 
   async _ensurePoolStarted() {
@@ -166,36 +400,190 @@ class HomeBannerAdapter extends utils.Adapter {
     return v;
   }
 
-  _subscribeWs(ws, viewId) {
+  // Rendered view currently backing a (possibly virtual) view id.
+  // Active alerts take precedence over playlists and the view itself.
+  _sourceViewId(viewId) {
     const id = String(viewId || "").trim();
-    if (!id) return false;
+    const alert = this._activeAlert(id);
+    if (alert) return alert.viewId;
+    const pl = this._playlists.get(id);
+    return pl ? pl.peek() : id;
+  }
+
+  // Active alert redirecting `id`; only alerts whose view is already rendering (held) redirect.
+  _activeAlert(id) {
+    return this._alerts ? this._alerts.activeFor(id, (rule) => this._alertHeld.has(rule.id)) : null;
+  }
+
+  // Ids that currently have consumers (WS subscribers, HTTP waiters, HTTP streams, running playlists).
+  _consumedIds() {
+    const out = new Set([...this._subs.keys(), ...this._frameWaiters.keys(), ...this._streams.keys()]);
+    for (const pl of this._playlists.values()) if (pl.isRunning()) out.add(pl.id);
+    return out;
+  }
+
+  // Re-send the current frame of every consumed id (after its source changed, e.g. alert start/end).
+  _redeliverAll() {
+    if (!this._pool) return;
+    for (const id of this._consumedIds()) {
+      const fr = this._pool.getFrame(this._sourceViewId(id));
+      if (fr) this._deliverFrame(id, fr);
+    }
+  }
+
+  async _onAlertStart(rule) {
+    const v = this._viewCfg(rule.viewId);
+    if (!v || !this._pool) {
+      this.log.warn(`alert ${rule.id}: unknown or disabled view ${rule.viewId}`);
+      this._alerts.discard(rule.id);
+      return;
+    }
+    try {
+      await this._ensurePoolStarted();
+      // Alerts are not subject to maxActiveViews (they are short and must be shown).
+      await this._pool.subscribe(v, { force: true });
+    } catch (e) {
+      this.log.warn(`alert ${rule.id}: cannot render ${rule.viewId}: ${e && e.message ? e.message : e}`);
+      this._alerts.discard(rule.id);
+      return;
+    }
+    if (!this._alerts.isActive(rule.id)) {
+      // Ended while the view was starting.
+      await this._pool.unsubscribe(rule.viewId);
+      return;
+    }
+    this._alertHeld.add(rule.id);
+    this._redeliverAll();
+  }
+
+  async _onAlertEnd(rule) {
+    this._redeliverAll();
+    if (this._alertHeld.delete(rule.id) && this._pool) await this._pool.unsubscribe(rule.viewId);
+  }
+
+  async _watchForeignStates(ids) {
+    for (const id of new Set(ids)) {
+      if (!id || this._stateValues.has(id)) continue;
+      this._stateValues.set(id, null);
+      try {
+        await this.subscribeForeignStatesAsync(id);
+        const st = await this.getForeignStateAsync(id);
+        this._stateValues.set(id, st ? st.val : null);
+      } catch (e) {
+        this.log.warn(`Cannot subscribe to state ${id}: ${e && e.message ? e.message : e}`);
+      }
+    }
+  }
+
+  // Release a renderer subscription of a WS client (playlists keep their own accounting).
+  _releaseView(viewId) {
+    const pl = this._playlists.get(viewId);
+    if (pl) {
+      pl.unsubscribe();
+      return;
+    }
+    if (this._pool) this._pool.unsubscribe(viewId).catch(() => {});
+  }
+
+  async _acquirePlaylist(pl, viaHttp) {
+    if (viaHttp) pl.touchHttp();
+    else pl.subscribe();
+    if (!pl.isRunning()) {
+      await this._ensurePoolStarted();
+      await pl.start();
+    }
+  }
+
+  // Move the playlist's renderer subscription from the previous to the next entry.
+  async _onPlaylistSwitch(pl, prevViewId, nextViewId) {
+    if (!this._pool) return;
+    const held = this._playlistHeld.get(pl.id) || "";
+    const nextCfg = nextViewId ? this._viewCfg(nextViewId) : null;
+    let released = false;
+    if (held && held !== nextViewId && nextCfg && !this._pool.canActivate(nextViewId).ok) {
+      // At the view limit: free the previous entry's slot first (no grace period).
+      await this._pool.unsubscribe(held);
+      this._pool.release(held);
+      this._playlistHeld.delete(pl.id);
+      released = true;
+    }
+    try {
+      if (nextCfg && held !== nextViewId) {
+        await this._ensurePoolStarted();
+        await this._pool.subscribe(nextCfg);
+        this._playlistHeld.set(pl.id, nextViewId);
+      }
+    } finally {
+      if (held && held !== nextViewId && !released) {
+        await this._pool.unsubscribe(held);
+        if (this._playlistHeld.get(pl.id) === held) this._playlistHeld.delete(pl.id);
+      }
+    }
+    // Instant switch: deliver the next entry's current frame right away (it was pre-warmed).
+    const fr = nextViewId ? this._pool.getFrame(nextViewId) : null;
+    if (fr) this._deliverFrame(pl.id, fr);
+    this.log.debug(`playlist ${pl.id}: ${prevViewId || "-"} -> ${nextViewId || "-"}`);
+  }
+
+  async _prewarmView(viewId) {
+    const v = this._viewCfg(viewId);
+    if (!v || !this._pool || !this._pool.canActivate(viewId).ok) return;
+    await this._pool.touchHttp(v);
+  }
+
+  async _tickPlaylists() {
+    const now = Date.now();
+    for (const pl of this._playlists.values()) {
+      if (pl.isRunning() && !pl.wanted(now, this._cfg.inactiveGraceMs)) await pl.stop();
+    }
+  }
+
+  _subscribeWs(ws, viewId, alias) {
+    const id = String(viewId || "").trim();
+    if (!id) return null;
     let set = this._subs.get(id);
     if (!set) {
       set = new Set();
       this._subs.set(id, set);
     }
     set.add(ws);
-    this._wsMeta.set(ws, { viewId: id });
-    return true;
+    const meta = this._wsMeta.get(ws) || {};
+    if (!meta.subs) meta.subs = new Map();
+    const sub = { key: alias || id, viewId: id, alias: alias || "", lastEtag: "" };
+    meta.subs.set(sub.key, sub);
+    meta.viewId = id;
+    this._wsMeta.set(ws, meta);
+    return sub;
   }
 
-  _unsubscribeWs(ws) {
+  // Drop WS subscriptions: the one with `key`, all of `viewId`, or (no filter) all of them.
+  // Returns the removed subscriptions (callers release their renderer subscriptions).
+  _unsubscribeWs(ws, { key, viewId } = {}) {
     const meta = this._wsMeta.get(ws);
-    const id = meta && meta.viewId ? String(meta.viewId) : "";
-    this._wsMeta.delete(ws);
-    if (id) {
-      const set = this._subs.get(id);
+    if (!meta || !meta.subs) return [];
+    const removed = [];
+    for (const sub of Array.from(meta.subs.values())) {
+      if (key !== undefined && sub.key !== key) continue;
+      if (viewId !== undefined && sub.viewId !== viewId) continue;
+      meta.subs.delete(sub.key);
+      removed.push(sub);
+    }
+    const left = Array.from(meta.subs.values());
+    for (const sub of removed) {
+      if (left.some((s2) => s2.viewId === sub.viewId)) continue;
+      const set = this._subs.get(sub.viewId);
       if (set) {
-        try {
-          set.delete(ws);
-        } catch {}
-        if (set.size === 0) this._subs.delete(id);
+        set.delete(ws);
+        if (set.size === 0) this._subs.delete(sub.viewId);
       }
     }
-    return id;
+    meta.viewId = left.length ? left[left.length - 1].viewId : "";
+    return removed;
   }
 
   async _onHttpFrameRequest(viewId) {
+    const pl = this._playlists.get(String(viewId || "").trim());
+    if (pl) return this._onHttpPlaylistRequest(pl);
     const v = this._viewCfg(viewId);
     if (!v) {
       return { ok: false, error: "unknown_view", viewId: String(viewId || ""), statusCode: 404 };
@@ -203,7 +591,7 @@ class HomeBannerAdapter extends utils.Adapter {
     if (!this._pool) {
       return { ok: false, error: "renderer_not_ready", statusCode: 503 };
     }
-    const gate = this._canActivateNow(String(viewId || ""));
+    const gate = this._canActivateNow(String(viewId || ""), "http");
     if (!gate.ok) {
       return {
         ok: false,
@@ -225,13 +613,65 @@ class HomeBannerAdapter extends utils.Adapter {
     return null;
   }
 
-  _waitForFrame(viewId, waitMs) {
+  async _onHttpPlaylistRequest(pl) {
+    if (!this._pool) {
+      return { ok: false, error: "renderer_not_ready", statusCode: 503 };
+    }
+    if (!pl.isRunning()) {
+      const gate = this._canActivateNow(pl.peek(), "http");
+      if (!gate.ok) {
+        return { ok: false, error: "too_many_active_views", statusCode: 429, limit: gate.limit, activeViews: gate.activeViews, requested: pl.id };
+      }
+    }
+    try {
+      await this._acquirePlaylist(pl, true);
+    } catch {
+      // ignore; caller may still return cached frames or no_frame
+    }
+    return null;
+  }
+
+  // HTTP stream (MJPEG / SSE) opened: hold a renderer subscription (like a WS client) until it closes.
+  async _onStreamOpen(viewId) {
+    const id = String(viewId || "").trim();
+    const v = this._viewCfg(id);
+    const pl = this._playlists.get(id);
+    if (!v && !pl) return { ok: false, error: "unknown_view", viewId: id, statusCode: 404 };
+    if (!this._pool) return { ok: false, error: "renderer_not_ready", statusCode: 503 };
+    const gate = pl && pl.isRunning() ? { ok: true } : this._canActivateNow(this._sourceViewId(id), "stream");
+    if (!gate.ok) {
+      return { ok: false, error: "too_many_active_views", statusCode: 429, limit: gate.limit, activeViews: gate.activeViews, requested: id };
+    }
+    this._pendingMark(this._sourceViewId(id));
+    try {
+      await this._ensurePoolStarted();
+      if (pl) await this._acquirePlaylist(pl, false);
+      else await this._pool.subscribe(v);
+    } catch (e) {
+      const code = e && e.code ? String(e.code) : "subscribe_failed";
+      return { ok: false, error: code, statusCode: code === "too_many_active_views" ? 429 : 503, requested: id };
+    }
+    this._streams.set(id, (this._streams.get(id) || 0) + 1);
+    return null;
+  }
+
+  _onStreamClose(viewId) {
+    const id = String(viewId || "").trim();
+    const n = (this._streams.get(id) || 0) - 1;
+    if (n > 0) this._streams.set(id, n);
+    else this._streams.delete(id);
+    this._releaseView(id);
+  }
+
+  // Resolve true once `viewId` has a frame other than `sinceEtag` (any frame if empty): immediately,
+  // or when _deliverFrame hands it the next one. Resolves false after `waitMs`.
+  _waitForFrame(viewId, waitMs, sinceEtag) {
     const id = String(viewId || "").trim();
     const ms = Math.max(0, Math.floor(Number(waitMs || 0)));
     if (!id || !this._pool) return Promise.resolve(false);
     try {
-      const fr = this._pool.getFrame(id);
-      if (fr && fr.png && fr.etag) return Promise.resolve(true);
+      const fr = this._pool.getFrame(this._sourceViewId(id));
+      if (fr && fr.png && fr.etag && fr.etag !== sinceEtag) return Promise.resolve(true);
     } catch {}
     if (ms <= 0) return Promise.resolve(false);
     return new Promise((resolve) => {
@@ -254,15 +694,51 @@ class HomeBannerAdapter extends utils.Adapter {
     });
   }
 
+  // Long-polling HTTP clients count as recent HTTP requests, so their view outlives the grace period.
+  _keepWaitersAlive() {
+    if (!this._pool) return;
+    for (const id of this._frameWaiters.keys()) {
+      const pl = this._playlists.get(id);
+      if (pl) pl.touchHttp();
+      else this._pool.keepAlive(this._sourceViewId(id));
+    }
+  }
+
+  // Renderer watchdog recovered something (page crash / stall, browser lost): kept in info.lastError until healthy.
+  _onWatchdog(ev) {
+    this._watchdogError = ev.viewId ? `${ev.viewId}: ${ev.reason}` : ev.reason;
+    this.setStateAsync("info.lastError", { val: this._watchdogError, ack: true }).catch(() => {});
+  }
+
+  _checkHealth() {
+    if (!this._watchdogError || !this._pool || !this._pool.getHealth().ok) return;
+    this.log.info(`renderer recovered (${this._watchdogError})`);
+    this._watchdogError = "";
+    this.setStateAsync("info.lastError", { val: "", ack: true }).catch(() => {});
+  }
+
+  _health() {
+    const renderer = this._pool ? this._pool.getHealth() : null;
+    return { ok: !renderer || renderer.ok, renderer };
+  }
+
   async _onFrame(viewId, frame) {
     try {
       await this.setStateAsync("info.lastCaptureTs", { val: frame.ts, ack: true });
       await this.setStateAsync("info.lastEtag", { val: frame.etag, ack: true });
-      await this.setStateAsync("info.lastError", { val: "", ack: true });
+      await this.setStateAsync("info.lastError", { val: this._watchdogError, ack: true });
     } catch {}
 
+    // Deliver to every consumed id currently backed by this view (the view itself, playlists showing
+    // it, ids redirected to it by an alert).
     const id = String(viewId || "").trim();
+    for (const target of this._consumedIds()) {
+      if (this._sourceViewId(target) === id) this._deliverFrame(target, frame);
+    }
+  }
 
+  // Hand a frame to everyone waiting on / subscribed to `id` (a view or playlist id).
+  _deliverFrame(id, frame) {
     // Resolve any HTTP waiters for this view (first frame warmup).
     try {
       const waiters = this._frameWaiters.get(id);
@@ -276,113 +752,730 @@ class HomeBannerAdapter extends utils.Adapter {
       }
     } catch {}
 
+    if (this._http && this._streams.has(id)) this._http.pushFrame(id, frame);
+
     const set = this._subs.get(id);
     if (set && this._ws) {
+      const msg = this._frameMessage(id, frame);
       for (const ws of set) {
-        try {
-          this._ws.send(ws, { type: "frame", viewId: id, etag: frame.etag, ts: frame.ts, url: `/frame/${encodeURIComponent(id)}.png` });
-        } catch {}
+        const meta = this._wsMeta.get(ws);
+        for (const sub of meta && meta.subs ? meta.subs.values() : []) {
+          if (sub.viewId !== id) continue;
+          try {
+            if (meta.push === "binary") this._pushBinaryFrame(ws, sub, frame, meta.format);
+            else this._ws.send(ws, sub.alias ? { ...msg, alias: sub.alias } : msg);
+          } catch {}
+        }
       }
     }
   }
 
+  // JSON frame notification (WS and SSE).
+  _frameMessage(id, frame) {
+    const alert = this._activeAlert(id);
+    return {
+      type: "frame",
+      viewId: id,
+      etag: frame.etag,
+      ts: frame.ts,
+      url: this._frameUrl(id),
+      formats: FRAME_FORMAT_NAMES,
+      alert: alert ? alert.id : undefined,
+    };
+  }
+
+  // PNG URL of a view (signed when access control is enabled).
+  _frameUrl(id) {
+    return this._access ? this._access.frameUrl(id) : `/frame/${encodeURIComponent(id)}.png`;
+  }
+
+  _pushBinaryFrame(ws, sub, frame, format) {
+    if (!sub || !frame || !frame.png || !frame.etag || !this._ws) return false;
+    const viewId = sub.viewId;
+    // Built at send time: with backpressure, intermediate frames may be skipped, and deltas must be
+    // based on the last frame this client actually received (tracked per subscription).
+    return this._ws.sendLatest(
+      ws,
+      () => {
+        const meta = this._wsMeta.get(ws);
+        if (!meta || !meta.subs || meta.subs.get(sub.key) !== sub) return null;
+        try {
+          const source = this._sourceViewId(viewId);
+          const base = meta.delta && sub.lastEtag && this._pool ? this._pool.getFrameByEtag(source, sub.lastEtag) : null;
+          const d = meta.delta ? buildDelta(viewId, base, frame, format) : buildKeyframe(viewId, frame, format);
+          if (!d) return null;
+          sub.lastEtag = frame.etag;
+          const alert = this._activeAlert(viewId);
+          return packFrameMessage({ ...d.header, alias: sub.alias || undefined, alert: alert ? alert.id : undefined }, d.payload);
+        } catch {
+          return null;
+        }
+      },
+      sub.key,
+    );
+  }
+
   async onStateChange(id, state) {
+    // Foreign states used by playlist conditions, alert rules and template views (usually ack=true, so handle
+    // before the ack filter).
+    if (this._stateValues.has(id)) {
+      this._stateValues.set(id, state ? state.val : null);
+      if (this._pool) this._pool.stateChanged(id);
+      for (const pl of this._playlists.values()) pl.refresh().catch(() => {});
+      if (state && this._alerts) this._alerts.handleStateChange(id, state.val);
+    }
+
     if (!state || state.ack) return;
 
     const short = id.split(".").slice(2).join(".");
     if (short === "control.activeView") {
-      this._activeViewId = String(state.val || "");
+      const viewId = String(state.val || "").trim();
+      if (viewId && !this._isKnownViewId(viewId)) {
+        this.log.warn(`control.activeView: unknown view id ${viewId}`);
+        await this.setStateAsync("control.activeView", { val: this._activeViewId, ack: true });
+        return;
+      }
+      this._activeViewId = viewId;
       await this.setStateAsync("control.activeView", { val: this._activeViewId, ack: true });
+      if (viewId) await this._setActiveView(viewId, "");
+      return;
+    }
+
+    const dm = /^devices\.([^.]+)\.activeView$/.exec(short);
+    if (dm) {
+      const viewId = String(state.val || "").trim();
+      if (viewId && !this._isKnownViewId(viewId)) {
+        this.log.warn(`${short}: unknown view id ${viewId}`);
+        return;
+      }
+      await this.setStateAsync(short, { val: viewId, ack: true });
+      if (viewId) await this._setActiveView(viewId, dm[1]);
+      return;
+    }
+
+    const cm = /^devices\.([^.]+)\.(brightness|power|reboot|message|command)$/.exec(short);
+    if (cm) {
+      await this._onDeviceCommandState(cm[1], cm[2], short, state.val);
       return;
     }
 
+    // Legacy buttons act on the active view (per-view buttons live under views.<id>).
     if (short === "control.captureNow") {
       await this.setStateAsync("control.captureNow", { val: false, ack: true });
-      // Deprecated in multi-view mode (kept for compatibility).
+      if (this._activeViewId) await this._captureViewNow(this._sourceViewId(this._activeViewId));
       return;
     }
 
     if (short === "control.reloadNow") {
       await this.setStateAsync("control.reloadNow", { val: false, ack: true });
-      // Deprecated in multi-view mode (kept for compatibility).
+      if (this._activeViewId) this._reloadViewNow(this._sourceViewId(this._activeViewId));
+      return;
+    }
+
+    const vm = /^views\.([^.]+)\.(reload|captureNow|enabled)$/.exec(short);
+    if (vm && this._viewKeys.has(vm[1])) {
+      const viewId = this._viewKeys.get(vm[1]);
+      if (vm[2] === "enabled") {
+        this._setViewEnabled(viewId, !!state.val);
+        await this.setStateAsync(short, { val: !!state.val, ack: true });
+        return;
+      }
+      await this.setStateAsync(short, { val: false, ack: true });
+      if (vm[2] === "reload") this._reloadViewNow(viewId);
+      else await this._captureViewNow(viewId);
       return;
     }
   }
 
+  // (Re)subscribe a WS client to a view or playlist id; replies with `subscribed` or `error`.
+  // Single-view clients (default) replace their subscription; `multi` clients add one per alias/view id.
+  _wsSubscribe(ws, viewId, alias) {
+    const v = this._viewCfg(viewId);
+    const pl = this._playlists.get(viewId);
+    const a = alias ? String(alias) : undefined;
+    if ((!v && !pl) || !this._pool || !this._ws) {
+      if (this._ws) this._ws.send(ws, { type: "error", error: "unknown_view", viewId: viewId || null, alias: a });
+      return;
+    }
+    if (!this._wsCanView(ws, viewId)) {
+      this._ws.send(ws, { type: "error", error: "forbidden", viewId, alias: a });
+      return;
+    }
+    // Unsubscribe the old view (single-view) or the subscription with the same key (multi) first.
+    const meta0 = this._wsMeta.get(ws);
+    const key = a || viewId;
+    for (const old of this._unsubscribeWs(ws, meta0 && meta0.multi ? { key } : {})) this._releaseView(old.viewId);
+
+    this._dequeueWs(ws, meta0 && meta0.multi ? key : undefined);
+    const gate = pl && pl.isRunning() ? { ok: true } : this._canActivateNow(this._sourceViewId(viewId), "ws");
+    if (!gate.ok) {
+      if (this._cfg.activationPolicy === "queue") {
+        this._activationQueue.push({ ws, viewId, alias: a, ts: Date.now() });
+        this._noteActivation(viewId, "ws", "queued");
+        this._ws.send(ws, { type: "queued", viewId, alias: a, position: this._activationQueue.length, limit: gate.limit, activeViews: gate.activeViews });
+        return;
+      }
+      this._ws.send(ws, { type: "error", error: "too_many_active_views", limit: gate.limit, activeViews: gate.activeViews, requested: viewId, alias: a });
+      return;
+    }
+
+    const sub = this._subscribeWs(ws, viewId, a);
+    this._pendingMark(this._sourceViewId(viewId));
+    let plHeld = false;
+    this._ensurePoolStarted()
+      .then(() => {
+        if (!pl) return this._pool.subscribe(v);
+        plHeld = true; // _acquirePlaylist subscribes before anything can fail
+        return this._acquirePlaylist(pl, false);
+      })
+      .then(() => {
+        this._ws.send(ws, { type: "subscribed", viewId, alias: a });
+        // Binary clients get the current frame right away instead of waiting for the next change.
+        const meta = this._wsMeta.get(ws);
+        if (meta && meta.push === "binary" && meta.subs && meta.subs.get(sub.key) === sub) {
+          this._pushBinaryFrame(ws, sub, this._pool.getFrame(this._sourceViewId(viewId)), meta.format);
+        }
+      })
+      .catch((e) => {
+        // Undo the subscription (unless the client already replaced or dropped it, which released it).
+        const meta = this._wsMeta.get(ws);
+        if (meta && meta.subs && meta.subs.get(sub.key) === sub) {
+          this._unsubscribeWs(ws, { key: sub.key });
+          if (plHeld) pl.unsubscribe();
+        }
+        const code = e && e.code ? String(e.code) : "subscribe_failed";
+        this._ws.send(ws, {
+          type: "error",
+          error: code,
+          viewId,
+          alias: a,
+          limit: e && e.limit ? e.limit : undefined,
+          activeViews: e && e.activeViews ? e.activeViews : undefined,
+        });
+      });
+  }
+
+  // `unsubscribe` by alias or view id (all subscriptions if neither is given).
+  _wsUnsubscribe(ws, viewId, alias) {
+    const filter = alias ? { key: String(alias) } : viewId ? { viewId: String(viewId) } : {};
+    this._activationQueue = this._activationQueue.filter(
+      (q) => q.ws !== ws || (filter.key !== undefined && (q.alias || q.viewId) !== filter.key) || (filter.viewId !== undefined && q.viewId !== filter.viewId),
+    );
+    for (const sub of this._unsubscribeWs(ws, filter)) {
+      this._releaseView(sub.viewId);
+      if (this._ws) this._ws.send(ws, { type: "unsubscribed", viewId: sub.viewId, alias: sub.alias || undefined });
+    }
+  }
+
+  // Server-driven view change: tell the client, then move its subscription (single-view clients only).
+  _switchWsView(ws, viewId) {
+    const meta = this._wsMeta.get(ws);
+    if (!meta || meta.follow === false || meta.multi || meta.viewId === viewId || !this._wsCanView(ws, viewId)) return false;
+    this._ws.send(ws, { type: "switchView", viewId });
+    this._wsSubscribe(ws, viewId);
+    return true;
+  }
+
+  // Token scope of the WS client (signed URLs only grant their own view).
+  _wsCanView(ws, viewId) {
+    return !this._access || !this._ws || this._access.canView(this._ws.principalOf(ws), viewId);
+  }
+
+  // Pool status for a WS client: only with the status scope, and only the views it may see.
+  _wsPoolStatus(ws) {
+    if (!this._pool) return null;
+    if (this._access && this._ws && !this._access.canStatus(this._ws.principalOf(ws))) return null;
+    const st = this._pool.getPoolStatus();
+    const visible = (views) => Object.fromEntries(Object.entries(views).filter(([id]) => this._wsCanView(ws, id)));
+    return {
+      ...st,
+      activeViews: st.activeViews.filter((id) => this._wsCanView(ws, id)),
+      views: visible(st.views),
+      // lastError may name any view.
+      health: {
+        ...st.health,
+        lastError: Array.from(this._viewsById.keys()).every((id) => this._wsCanView(ws, id)) ? st.health.lastError : null,
+        views: visible(st.health.views),
+      },
+    };
+  }
+
+  _isKnownViewId(viewId) {
+    return !!this._viewCfg(viewId) || this._playlists.has(viewId);
+  }
+
+  // control.activeView (all following clients) or devices.<id>.activeView (one device).
+  async _setActiveView(viewId, deviceKey) {
+    let n = 0;
+    for (const [ws, meta] of this._wsMeta.entries()) {
+      if (deviceKey && meta.deviceKey !== deviceKey) continue;
+      if (this._switchWsView(ws, viewId)) n++;
+    }
+    this.log.info(`Active view ${viewId}${deviceKey ? ` for device ${deviceKey}` : ""}: switched ${n} client(s)`);
+  }
+
+  // Object id segment for a view/device id (no dots or forbidden characters).
+  _objKey(rawId) {
+    return String(rawId || "")
+      .trim()
+      .replace(this.FORBIDDEN_CHARS, "_")
+      .replace(/[.\s]/g, "_");
+  }
+
+  async _ensureDeviceObjects(deviceKey, deviceId) {
+    if (this._deviceObjects.has(deviceKey)) return;
+    this._deviceObjects.add(deviceKey);
+    await this.setObjectNotExistsAsync(`devices.${deviceKey}`, {
+      type: "channel",
+      common: { name: deviceId },
+      native: {},
+    });
+    await this.setObjectNotExistsAsync(`devices.${deviceKey}.activeView`, {
+      type: "state",
+      common: { name: "Active view id", type: "string", role: "text", read: true, write: true, def: "" },
+      native: {},
+    });
+    for (const [name, common] of Object.entries(DEVICE_STATES)) {
+      await this.setObjectNotExistsAsync(`devices.${deviceKey}.${name}`, { type: "state", common: { ...common }, native: {} });
+    }
+  }
+
+  // devices.<key>.<name> written by the user: send the command, ack the state once the device confirmed it.
+  async _onDeviceCommandState(key, name, id, val) {
+    // The unconfirmed write replaced the last acked value.
+    this._stateCache.delete(id);
+    let command;
+    let args;
+    if (name === "command") {
+      const raw = String(val === null || val === undefined ? "" : val).trim();
+      if (!raw) return;
+      try {
+        const parsed = raw.startsWith("{") ? JSON.parse(raw) : { command: raw };
+        command = String(parsed.command || "");
+        args = parsed.args && typeof parsed.args === "object" ? parsed.args : {};
+      } catch {
+        command = "";
+      }
+      if (!command) {
+        this.log.warn(`${id}: expected a command name or {"command":"...","args":{...}}`);
+        return;
+      }
+    } else {
+      [command, args] = DEVICE_COMMAND_STATES[name](val);
+    }
+    if (name === "reboot") await this.setStateAsync(id, { val: false, ack: true });
+    const res = await this._deviceCommand(key, command, args);
+    if (!res.ok || name === "reboot") return;
+    // Confirmed brightness / power also replace the last reported telemetry value.
+    if (TELEMETRY_FIELDS[name] && this._devices) this._devices.telemetry(key, { [name]: val });
+    await this._setCachedState(id, val);
+  }
+
+  // Send a command to a device and record the outcome in devices.<key>.commandResult.
+  async _deviceCommand(key, command, args, timeoutMs = DEVICE_COMMAND_TIMEOUT_MS) {
+    const res = this._devices ? await this._devices.command(key, command, args, timeoutMs) : { ok: false, error: "offline" };
+    if (!res.ok) this.log.warn(`device ${key}: ${command} failed: ${res.error}`);
+    if (this._deviceObjects.has(key)) {
+      await this.setStateAsync(`devices.${key}.commandResult`, { val: JSON.stringify({ ts: Date.now(), ...res }), ack: true });
+    }
+    return res;
+  }
+
+  // Nothing is connected right after a start.
+  async _resetDeviceStates() {
+    try {
+      const states = await this.getStatesAsync("devices.*.online");
+      for (const id of Object.keys(states || {})) {
+        if (states[id] && states[id].val) await this.setForeignStateAsync(id, { val: false, ack: true });
+      }
+    } catch (e) {
+      this.log.warn(`Cannot reset device states: ${e && e.message ? e.message : e}`);
+    }
+  }
+
+  _deviceStatus() {
+    if (!this._devices) return [];
+    const viewsOf = (ws) => {
+      const meta = this._wsMeta.get(ws);
+      return meta && meta.subs ? Array.from(meta.subs.values(), (sub) => sub.viewId) : [];
+    };
+    return this._devices.getStatus(viewsOf, (viewId) => (this._pool ? this._pool.getFrame(this._sourceViewId(viewId)) : null));
+  }
+
+  // Close connections of devices whose heartbeats stopped (half-open Wi-Fi connections linger otherwise).
+  _checkDeviceHeartbeats() {
+    if (!this._devices) return;
+    for (const ws of this._devices.staleSockets()) {
+      const meta = this._wsMeta.get(ws);
+      this.log.info(`device ${meta ? meta.deviceKey : "?"}: no heartbeat for ${Math.round(this._devices.timeoutMs / 1000)}s, closing`);
+      try {
+        ws.close(4008, "heartbeat_timeout");
+      } catch {}
+    }
+  }
+
+  async _updateDeviceStates() {
+    for (const d of this._deviceStatus()) {
+      if (!this._deviceObjects.has(d.key)) continue;
+      await this._setCachedState(`devices.${d.key}.online`, d.online);
+      await this._setCachedState(`devices.${d.key}.view`, d.views.join(","));
+      await this._setCachedState(`devices.${d.key}.lag`, d.lagMs);
+      await this._setCachedState(`devices.${d.key}.lastSeen`, d.lastSeenTs);
+      await this._setCachedState(`devices.${d.key}.firmware`, d.firmware || "");
+      await this._setCachedState(`devices.${d.key}.reconnects`, d.reconnects);
+      for (const name of Object.keys(TELEMETRY_FIELDS)) {
+        if (d.telemetry && d.telemetry[name] !== undefined) await this._setCachedState(`devices.${d.key}.${name}`, d.telemetry[name]);
+      }
+    }
+  }
+
+  // Create `views.<id>.*` for every configured view and delete channels of removed views.
+  async _syncViewObjects() {
+    this._viewKeys.clear();
+    for (const v of this._cfg.views || []) {
+      const key = this._objKey(v.id);
+      if (!key) continue;
+      this._viewKeys.set(key, v.id);
+      await this.setObjectNotExistsAsync(`views.${key}`, {
+        type: "channel",
+        common: { name: v.name || v.id },
+        native: { viewId: v.id },
+      });
+      for (const [name, common] of Object.entries(VIEW_STATES)) {
+        await this.setObjectNotExistsAsync(`views.${key}.${name}`, { type: "state", common: { ...common }, native: {} });
+      }
+      await this.setStateAsync(`views.${key}.enabled`, { val: v.enabled !== false, ack: true });
+    }
+
+    try {
+      const res = await this.getObjectViewAsync("system", "channel", {
+        startkey: `${this.namespace}.views.`,
+        endkey: `${this.namespace}.views.\u9999`,
+      });
+      for (const row of res && res.rows ? res.rows : []) {
+        const key = String(row.id).slice(`${this.namespace}.views.`.length);
+        if (key.includes(".") || this._viewKeys.has(key)) continue;
+        this.log.info(`Removing objects of deleted view ${key}`);
+        await this.delObjectAsync(`views.${key}`, { recursive: true });
+      }
+    } catch (e) {
+      this.log.warn(`Cannot clean up view objects: ${e && e.message ? e.message : e}`);
+    }
+  }
+
+  async _setViewState(key, name, val) {
+    await this._setCachedState(`views.${key}.${name}`, val);
+  }
+
+  async _setCachedState(id, val) {
+    if (this._stateCache.get(id) === val) return;
+    this._stateCache.set(id, val);
+    await this.setStateAsync(id, { val, ack: true });
+  }
+
+  async _updateViewStates() {
+    if (!this._pool) return;
+    for (const [key, viewId] of this._viewKeys.entries()) {
+      const st = this._pool.getStatus(viewId);
+      await this._setViewState(key, "subscribers", st ? st.subscribers : 0);
+      await this._setViewState(key, "fps", st ? st.fps : 0);
+      await this._setViewState(key, "pageOpen", st ? st.pageOpen : false);
+      await this._setViewState(key, "lastError", st && st.lastError ? st.lastError : "");
+      if (st && st.lastCaptureTs) await this._setViewState(key, "lastCaptureTs", st.lastCaptureTs);
+      if (st && st.etag) await this._setViewState(key, "etag", st.etag);
+    }
+  }
+
+  // views.<id>.captureNow: render a frame now (activates the view like an HTTP poll).
+  async _captureViewNow(viewId) {
+    const r = await this._onHttpFrameRequest(viewId);
+    if (r && r.error) {
+      this.log.warn(`captureNow ${viewId}: ${r.error}`);
+      return;
+    }
+    if (this._pool) this._pool.requestCapture(viewId);
+  }
+
+  _reloadViewNow(viewId) {
+    if (!this._pool || !this._pool.requestReload(viewId)) {
+      this.log.debug(`reload ${viewId}: view is not rendered, nothing to reload`);
+    }
+  }
+
+  // views.<id>.enabled: runtime switch (not persisted; the config value applies after a restart).
+  _setViewEnabled(viewId, enabled) {
+    const v = this._viewsById.get(viewId);
+    if (!v) return;
+    v.enabled = enabled;
+    if (enabled) return;
+    // Drop current WS subscribers of the view.
+    const set = this._subs.get(viewId);
+    for (const ws of set ? Array.from(set) : []) {
+      for (const sub of this._unsubscribeWs(ws, { viewId })) {
+        this._releaseView(viewId);
+        if (this._ws) this._ws.send(ws, { type: "error", error: "view_disabled", viewId, alias: sub.alias || undefined });
+      }
+    }
+    if (this._pool) this._pool.release(viewId);
+  }
+
+  // Admin tab (admin/tab.html) via sendTo.
+  async onMessage(obj) {
+    if (!obj || !obj.command) return;
+    const msg = obj.message && typeof obj.message === "object" ? obj.message : {};
+    const viewId = String(msg.viewId || "").trim();
+    let res;
+    try {
+      switch (obj.command) {
+        case "getPreview":
+          this._renewAdminHolds();
+          res = this._adminPreview(msg.etags);
+          break;
+        case "startView":
+          res = await this._adminStartView(viewId);
+          break;
+        case "stopView":
+          res = await this._adminStopView(viewId);
+          break;
+        case "reloadView":
+          res = { ok: !!(this._pool && this._pool.requestReload(viewId)), error: this._pool ? undefined : "renderer_not_ready" };
+          break;
+        case "deviceCommand":
+          // {deviceId, command, args?, timeoutMs?} -> the device's response
+          res = msg.command
+            ? await this._deviceCommand(this._objKey(msg.deviceId), String(msg.command), msg.args, msg.timeoutMs || DEVICE_COMMAND_TIMEOUT_MS)
+            : { ok: false, error: "missing_command" };
+          break;
+        default:
+          res = { ok: false, error: "unknown_command" };
+      }
+    } catch (e) {
+      res = { ok: false, error: String(e && e.message ? e.message : e) };
+    }
+    if (obj.callback) this.sendTo(obj.from, obj.command, res, obj.callback);
+  }
+
+  // Status of every configured view plus its current frame as PNG (base64), unless the caller
+  // already has that ETag (`etags`: viewId -> etag).
+  _adminPreview(etags) {
+    const known = etags && typeof etags === "object" ? etags : {};
+    const pool = this._pool ? this._pool.getPoolStatus() : null;
+    const views = (this._cfg.views || []).map((v) => {
+      const fr = this._pool ? this._pool.getFrame(v.id) : null;
+      let frame = null;
+      if (fr && fr.etag !== known[v.id]) {
+        frame = { etag: fr.etag, ts: fr.ts, png: frameBytes(fr, "png").data.toString("base64") };
+      }
+      return {
+        id: v.id,
+        name: v.name,
+        enabled: this._viewsById.get(v.id) ? this._viewsById.get(v.id).enabled !== false : v.enabled,
+        held: this._adminHolds().has(v.id),
+        status: pool && pool.views[v.id] ? pool.views[v.id] : null,
+        etag: fr ? fr.etag : null,
+        frame,
+      };
+    });
+    return {
+      ok: true,
+      width: this._cfg.canvasWidth,
+      height: this._cfg.canvasHeight,
+      activeViews: pool ? pool.activeViews : [],
+      maxActiveViews: this._cfg.maxActiveViews,
+      browserOpen: pool ? pool.browserOpen : false,
+      views,
+    };
+  }
+
+  // Keep a view rendering (holds one renderer subscription until stopView or the tab stops polling).
+  async _adminStartView(viewId) {
+    if (this._adminHeld.has(viewId)) {
+      this._adminHeld.set(viewId, Date.now() + ADMIN_HOLD_LEASE_MS);
+      return { ok: true };
+    }
+    const v = this._viewCfg(viewId);
+    if (!v) return { ok: false, error: "unknown_view", viewId };
+    if (!this._pool) return { ok: false, error: "renderer_not_ready" };
+    const gate = this._canActivateNow(viewId, "admin");
+    if (!gate.ok) return { ok: false, error: "too_many_active_views", limit: gate.limit, activeViews: gate.activeViews };
+    this._pendingMark(viewId);
+    try {
+      await this._ensurePoolStarted();
+      await this._pool.subscribe(v);
+    } catch (e) {
+      return { ok: false, error: e && e.code ? String(e.code) : "subscribe_failed", viewId };
+    }
+    this._adminHeld.set(viewId, Date.now() + ADMIN_HOLD_LEASE_MS);
+    return { ok: true };
+  }
+
+  _renewAdminHolds() {
+    const until = Date.now() + ADMIN_HOLD_LEASE_MS;
+    for (const id of this._adminHeld.keys()) this._adminHeld.set(id, until);
+  }
+
+  // Admin holds whose lease has not lapsed.
+  _adminHolds() {
+    const now = Date.now();
+    return new Set([...this._adminHeld].filter(([, until]) => until > now).map(([id]) => id));
+  }
+
+  _expireAdminHolds() {
+    const live = this._adminHolds();
+    for (const id of Array.from(this._adminHeld.keys())) {
+      if (live.has(id)) continue;
+      this.log.debug(`admin tab stopped polling, releasing ${id}`);
+      this._adminStopView(id).catch(() => {});
+    }
+  }
+
+  // Drop the admin hold; the view stops right away unless other clients still use it.
+  async _adminStopView(viewId) {
+    if (!this._adminHeld.delete(viewId)) return { ok: true };
+    if (this._pool) {
+      await this._pool.unsubscribe(viewId);
+      this._pool.release(viewId);
+    }
+    return { ok: true };
+  }
+
   _onWsMessage(ws, msg) {
     const t = String(msg.type || "");
     if (t === "_close") {
-      const old = this._unsubscribeWs(ws);
-      if (old && this._pool) {
-        this._pool.unsubscribe(old).catch(() => {});
-      }
+      this._dequeueWs(ws);
+      for (const sub of this._unsubscribeWs(ws)) this._releaseView(sub.viewId);
+      const meta = this._wsMeta.get(ws);
+      if (meta && meta.deviceKey && this._devices) this._devices.disconnect(meta.deviceKey, ws);
+      this._wsMeta.delete(ws);
+      return;
+    }
+    const meta0 = this._wsMeta.get(ws);
+    if (meta0 && meta0.deviceKey && this._devices) this._devices.seen(meta0.deviceKey, t === "heartbeat");
+    if (t === "heartbeat") {
+      this._ws.send(ws, { type: "heartbeat_ack", ts: Date.now() });
+      return;
+    }
+    if (t === "telemetry") {
+      // `{"type":"telemetry","temperature":41.5,"rssi":-63,"uptime":86400,"brightness":40,"power":true}`
+      if (meta0 && meta0.deviceKey && this._devices) this._devices.telemetry(meta0.deviceKey, msg);
+      return;
+    }
+    if (t === "response") {
+      // Answer to a `command`: `{"type":"response","id":"<id>","ok":true,"result":...}`.
+      if (this._devices) this._devices.response(ws, msg);
+      return;
+    }
+    if (t === "ack") {
+      // The device displays `etag` (of `alias` / `viewId`, default: its last subscribed view); used for `lag`.
+      if (!meta0 || !meta0.deviceKey || !this._devices) return;
+      const sub = msg.alias && meta0.subs ? meta0.subs.get(String(msg.alias)) : null;
+      const viewId = sub ? sub.viewId : String(msg.viewId || meta0.viewId || "");
+      this._devices.ack(meta0.deviceKey, viewId, msg.etag);
       return;
     }
     if (t === "hello") {
       try {
-        const viewId = String((this._wsMeta.get(ws) || {}).viewId || "");
-        const st = this._pool ? this._pool.getPoolStatus() : null;
-        const frame = viewId && this._pool ? this._pool.getFrame(viewId) : null;
+        // Opt-in binary push: `{"type":"hello","push":"binary","format":"rgb565","delta":true}`.
+        const meta = this._wsMeta.get(ws) || { viewId: "", subs: new Map() };
+        const push = String(msg.push || "") === "binary" ? "binary" : "json";
+        const format = FRAME_FORMAT_NAMES.includes(String(msg.format || "")) ? String(msg.format) : "png";
+        const delta = push === "binary" && msg.delta === true && DELTA_FORMATS.includes(format);
+        meta.push = push;
+        meta.format = format;
+        meta.delta = delta;
+        for (const sub of meta.subs ? meta.subs.values() : []) sub.lastEtag = "";
+        // `"multi":true`: `subscribe` adds a subscription (per alias / view id) instead of replacing it.
+        meta.multi = msg.multi === true;
+        // Optional identity for per-device control (`devices.<id>.activeView`); clients that send
+        // `"follow":false` ignore server-driven view switches.
+        const prevKey = meta.deviceKey || "";
+        meta.deviceKey = msg.deviceId ? this._objKey(msg.deviceId) : "";
+        meta.follow = msg.follow !== false;
+        if (prevKey && prevKey !== meta.deviceKey) this._devices.disconnect(prevKey, ws);
+        if (meta.deviceKey) {
+          // Announced identity and panel geometry (`firmware`, `width`, `height` are optional).
+          this._devices.connect(meta.deviceKey, ws, { id: msg.deviceId, firmware: msg.firmware, width: msg.width, height: msg.height });
+        }
+        this._wsMeta.set(ws, meta);
+        if (meta.deviceKey) {
+          this._ensureDeviceObjects(meta.deviceKey, String(msg.deviceId)).catch((e) =>
+            this.log.warn(`Cannot create device objects for ${meta.deviceKey}: ${e && e.message ? e.message : e}`),
+          );
+        }
+
+        const viewId = String(meta.viewId || "");
+        const st = this._wsPoolStatus(ws);
+        const frame = viewId && this._pool ? this._pool.getFrame(this._sourceViewId(viewId)) : null;
         this._ws.send(ws, {
           type: "hello_ack",
           activeViewId: this._activeViewId || null,
           subscribedViewId: viewId || null,
+          subscriptions: Array.from(meta.subs ? meta.subs.values() : []).map((s2) => ({ viewId: s2.viewId, alias: s2.alias || undefined })),
           pool: st,
-          frame: frame ? { viewId, etag: frame.etag, ts: frame.ts, url: `/frame/${encodeURIComponent(viewId)}.png` } : null,
+          push,
+          format,
+          delta,
+          multi: meta.multi,
+          frame: frame
+            ? { viewId, etag: frame.etag, ts: frame.ts, url: this._frameUrl(viewId), formats: FRAME_FORMAT_NAMES }
+            : null,
         });
       } catch {}
       return;
     }
     if (t === "subscribe" || t === "setView") {
-      const viewId = String(msg.viewId || "");
-      const v = this._viewCfg(viewId);
-      if (!v || !this._pool || !this._ws) {
-        this._ws.send(ws, { type: "error", error: "unknown_view", viewId: viewId || null });
-        return;
-      }
-      // Unsubscribe old view first.
-      const old = this._unsubscribeWs(ws);
-      if (old && this._pool) this._pool.unsubscribe(old).catch(() => {});
-
-      const gate = this._canActivateNow(String(viewId || ""));
-      if (!gate.ok) {
-        this._ws.send(ws, { type: "error", error: "too_many_active_views", limit: gate.limit, activeViews: gate.activeViews, requested: viewId });
-        return;
-      }
-
-      this._subscribeWs(ws, viewId);
-      this._pendingMark(String(viewId || ""));
-      this._ensurePoolStarted()
-        .then(() => this._pool.subscribe(v))
-        .then(() => {
-          this._ws.send(ws, { type: "subscribed", viewId });
-        })
-        .catch((e) => {
-          const code = e && e.code ? String(e.code) : "subscribe_failed";
-          this._ws.send(ws, {
-            type: "error",
-            error: code,
-            viewId,
-            limit: e && e.limit ? e.limit : undefined,
-            activeViews: e && e.activeViews ? e.activeViews : undefined,
-          });
-        });
+      this._wsSubscribe(ws, String(msg.viewId || ""), msg.alias ? String(msg.alias) : undefined);
       return;
     }
-    if (t === "captureNow") {
-      // Deprecated in multi-view mode (kept for compatibility).
+    if (t === "unsubscribe") {
+      this._wsUnsubscribe(ws, msg.viewId, msg.alias);
       return;
     }
-    if (t === "reload") {
-      // Deprecated in multi-view mode (kept for compatibility).
+    if (t === "keyframe") {
+      // Client lost its base frame (e.g. after a decode error): resend the current frame in full
+      // (of one subscription if `alias` / `viewId` is given).
+      const meta = this._wsMeta.get(ws);
+      if (!meta || meta.push !== "binary" || !meta.subs || !this._pool) return;
+      for (const sub of meta.subs.values()) {
+        if (msg.alias && sub.key !== String(msg.alias)) continue;
+        if (msg.viewId && sub.viewId !== String(msg.viewId)) continue;
+        sub.lastEtag = "";
+        this._pushBinaryFrame(ws, sub, this._pool.getFrame(this._sourceViewId(sub.viewId)), meta.format);
+      }
+      return;
+    }
+    if (t === "captureNow" || t === "reload") {
+      // Control commands (token scope `control`) for `viewId`, or for all views the client is subscribed to.
+      if (this._access && !this._access.canControl(this._ws.principalOf(ws))) {
+        this._ws.send(ws, { type: "error", error: "forbidden", command: t });
+        return;
+      }
+      const meta = this._wsMeta.get(ws);
+      const ids = msg.viewId ? [String(msg.viewId)] : Array.from(meta && meta.subs ? meta.subs.values() : [], (sub) => sub.viewId);
+      for (const id of new Set(ids)) {
+        if (!this._isKnownViewId(id) || !this._wsCanView(ws, id)) continue;
+        const source = this._sourceViewId(id);
+        if (t === "reload") this._reloadViewNow(source);
+        else if (this._pool) this._pool.requestCapture(source);
+      }
       return;
     }
   }
 
   async onUnload(callback) {
+    if (this._maintTimer) {
+      clearInterval(this._maintTimer);
+      this._maintTimer = null;
+    }
     try {
       await this.setStateAsync("info.connection", { val: false, ack: true });
     } catch {}
+    for (const pl of this._playlists.values()) {
+      try {
+        await pl.stop();
+      } catch {}
+    }
+    if (this._alerts) this._alerts.stop();
     try {
       if (this._ws) await this._ws.close();
     } catch {}
@@ -418,13 +1511,101 @@ class HomeBannerAdapter extends utils.Adapter {
     return out;
   }
 
-  _canActivateNow(viewId) {
+  // Activation gate for `viewId` (a rendered view id). At the limit, the configured policy may evict
+  // another view to make room; `via` is only used for the decision log.
+  _canActivateNow(viewId, via) {
     const id = String(viewId || "").trim();
     const active = this._activeViewsNow();
-    if (active.has(id)) return { ok: true, limit: this._cfg.maxActiveViews, activeViews: Array.from(active) };
     const limit = Math.min(10, Math.max(1, Math.floor(Number(this._cfg.maxActiveViews || 2))));
-    if (active.size >= limit) return { ok: false, limit, activeViews: Array.from(active) };
-    return { ok: true, limit, activeViews: Array.from(active) };
+    if (active.has(id) || active.size < limit) return { ok: true, limit, activeViews: Array.from(active) };
+    const victim = this._evictionCandidate(id, active);
+    if (victim) {
+      this._evictView(victim, id);
+      this._noteActivation(id, via, "evicted", { evicted: victim });
+      active.delete(victim);
+      return { ok: true, limit, activeViews: Array.from(active), evicted: victim };
+    }
+    // WS requests are queued by the caller under the queue policy; everything else is rejected.
+    if (this._cfg.activationPolicy !== "queue" || via !== "ws") {
+      this._metrics.activationRejects.inc({ via: "adapter" });
+      this._noteActivation(id, via, "rejected");
+    }
+    return { ok: false, limit, activeViews: Array.from(active) };
+  }
+
+  // Views that must keep rendering regardless of the policy (playlists, alerts, HTTP streams, admin tab).
+  _pinnedViewIds() {
+    const out = new Set([...this._playlistHeld.values(), ...this._adminHolds()]);
+    for (const id of this._streams.keys()) out.add(this._sourceViewId(id));
+    if (this._alerts) for (const a of this._alerts.getStatus()) out.add(a.viewId);
+    return out;
+  }
+
+  _evictionCandidate(viewId, active) {
+    const policy = this._cfg.activationPolicy;
+    if ((policy !== "evictLru" && policy !== "evictPriority") || !this._pool) return "";
+    const views = this._pool.getPoolStatus().views;
+    const pinned = this._pinnedViewIds();
+    const prio = (id) => (this._viewsById.get(id) ? this._viewsById.get(id).priority || 0 : 0);
+    const own = prio(viewId);
+    const cands = [];
+    for (const id of active) {
+      const st = views[id];
+      // Pending reservations (no session yet) cannot be evicted.
+      if (id === viewId || !st || pinned.has(id)) continue;
+      if (policy === "evictLru" && st.subscribers > 0) continue;
+      if (policy === "evictPriority" && prio(id) >= own) continue;
+      cands.push({ id, prio: prio(id), subscribers: st.subscribers, lastUsedTs: st.lastUsedTs || 0 });
+    }
+    // LRU: oldest use first. Priority: lowest priority, then HTTP-only before subscribed, then LRU.
+    cands.sort((a, b) =>
+      policy === "evictPriority"
+        ? a.prio - b.prio || a.subscribers - b.subscribers || a.lastUsedTs - b.lastUsedTs
+        : a.lastUsedTs - b.lastUsedTs,
+    );
+    return cands.length ? cands[0].id : "";
+  }
+
+  // Stop rendering `viewId` now; WS clients subscribed to it get an `evicted` error.
+  _evictView(viewId, byViewId) {
+    const set = this._subs.get(viewId);
+    for (const ws of set ? Array.from(set) : []) {
+      for (const sub of this._unsubscribeWs(ws, { viewId })) {
+        if (this._ws) this._ws.send(ws, { type: "error", error: "evicted", viewId, alias: sub.alias || undefined, by: byViewId });
+      }
+    }
+    this._pendingActive.delete(viewId);
+    if (this._pool) this._pool.evict(viewId);
+    this.log.info(`evicted view ${viewId} for ${byViewId} (${this._cfg.activationPolicy})`);
+  }
+
+  _noteActivation(viewId, via, decision, extra) {
+    this._activationLog.push({ ts: Date.now(), viewId, via: via || null, decision, ...(extra || {}) });
+    if (this._activationLog.length > 20) this._activationLog.shift();
+  }
+
+  // Drop queued subscriptions of a WS client (only the one with `key`, if given).
+  _dequeueWs(ws, key) {
+    this._activationQueue = this._activationQueue.filter((q) => q.ws !== ws || (key !== undefined && (q.alias || q.viewId) !== key));
+  }
+
+  // Queue policy: subscribe waiting WS clients (FIFO) while slots are free.
+  _drainActivationQueue() {
+    while (this._activationQueue.length) {
+      const q = this._activationQueue[0];
+      // Clients may subscribe without a hello (no _wsMeta entry): liveness is the socket itself.
+      if (q.ws.readyState !== q.ws.OPEN) {
+        this._activationQueue.shift();
+        continue;
+      }
+      const active = this._activeViewsNow();
+      const source = this._sourceViewId(q.viewId);
+      const pl = this._playlists.get(q.viewId);
+      if (!active.has(source) && !(pl && pl.isRunning()) && active.size >= this._cfg.maxActiveViews) return;
+      this._activationQueue.shift();
+      this._noteActivation(q.viewId, "ws", "dequeued", { waitedMs: Date.now() - q.ts });
+      this._wsSubscribe(q.ws, q.viewId, q.alias);
+    }
   }
 }
 
@@ -0,0 +1,75 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { AccessControl } = require("../lib/auth");
+
+function _token(token, extra = {}) {
+  return { name: token, token, views: [], status: false, control: false, expiresTs: null, ...extra };
+}
+
+// Query of a signed frame URL.
+function _signedQuery(url) {
+  return Object.fromEntries(new URL(url, "http://x").searchParams);
+}
+
+describe("AccessControl", () => {
+  it("is open without any token configured", () => {
+    const ac = new AccessControl({});
+    assert.equal(ac.enabled, false);
+    const { principal } = ac.authenticate({ headers: {} }, {});
+    assert.ok(ac.canView(principal, "any") && ac.canStatus(principal) && ac.canControl(principal));
+    assert.equal(ac.frameUrl("a b"), "/frame/a%20b.png");
+  });
+
+  it("grants everything to the shared authToken, by query or bearer header", () => {
+    const ac = new AccessControl({ authToken: "secret" });
+    for (const [req, q] of [
+      [{ headers: {} }, { token: "secret" }],
+      [{ headers: { authorization: "Bearer secret" } }, {}],
+    ]) {
+      const { principal } = ac.authenticate(req, q);
+      assert.ok(ac.canView(principal, "x") && ac.canStatus(principal) && ac.canControl(principal));
+    }
+    assert.deepEqual(ac.authenticate({ headers: {} }, {}), { error: "unauthorized" });
+    assert.deepEqual(ac.authenticate({ headers: {} }, { token: "wrong" }), { error: "unauthorized" });
+  });
+
+  it("limits scoped tokens to their views and flags", () => {
+    const ac = new AccessControl({ tokens: [_token("guest", { views: ["a"], status: true })] });
+    const { principal } = ac.authenticate({ headers: {} }, { token: "guest" });
+    assert.equal(ac.canView(principal, "a"), true);
+    assert.equal(ac.canView(principal, "b"), false);
+    assert.equal(ac.canStatus(principal), true);
+    assert.equal(ac.canControl(principal), false);
+  });
+
+  it("rejects expired scoped tokens", () => {
+    const ac = new AccessControl({ tokens: [_token("old", { expiresTs: Date.now() - 1 }), _token("bad", { expiresTs: 0 })] });
+    assert.deepEqual(ac.authenticate({ headers: {} }, { token: "old" }), { error: "token_expired" });
+    assert.deepEqual(ac.authenticate({ headers: {} }, { token: "bad" }), { error: "token_expired" });
+  });
+
+  it("signs frame URLs for one view only", () => {
+    const ac = new AccessControl({ authToken: "secret", signedUrlTtlMs: 60000 });
+    const url = ac.frameUrl("a");
+    assert.match(url, /^\/frame\/a\.png\?exp=\d+&sig=[\w-]+$/);
+    const { principal } = ac.authenticate({ headers: {} }, _signedQuery(url));
+    assert.equal(ac.canView(principal, "a"), true);
+    assert.equal(ac.canView(principal, "b"), false);
+    assert.equal(ac.canStatus(principal), false);
+    assert.equal(ac.canControl(principal), false);
+  });
+
+  it("rejects tampered, expired and foreign signatures", () => {
+    const ac = new AccessControl({ authToken: "secret" });
+    const q = _signedQuery(ac.frameUrl("a"));
+    const tampered = ac.authenticate({ headers: {} }, { ...q, exp: String(Number(q.exp) + 1) }).principal;
+    assert.equal(ac.canView(tampered, "a"), false);
+    assert.deepEqual(ac.authenticate({ headers: {} }, { ...q, exp: "1" }), { error: "token_expired" });
+    // Keys are random per instance (adapter start).
+    const other = new AccessControl({ authToken: "secret" });
+    assert.equal(other.canView(other.authenticate({ headers: {} }, q).principal, "a"), false);
+  });
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { applyColorPipeline, isColorPipelineActive, whiteBalanceGains } = require("../lib/color");
+
+const NEUTRAL = { gamma: 1, brightness: 1, colorTemperature: 6500, gainR: 1, gainG: 1, gainB: 1, bitsR: 8, bitsG: 8, bitsB: 8, dither: "none" };
+
+function _ramp(width) {
+  const data = Buffer.alloc(width * 4);
+  for (let x = 0; x < width; x++) data.set([Math.round((x * 255) / (width - 1)), 128, 0, 200], x * 4);
+  return { width, height: 1, data };
+}
+
+describe("color pipeline", () => {
+  it("is inactive with neutral settings", () => {
+    assert.equal(isColorPipelineActive(null), false);
+    assert.equal(isColorPipelineActive(NEUTRAL), false);
+    assert.deepEqual(whiteBalanceGains(NEUTRAL), [1, 1, 1]);
+  });
+
+  it("is active as soon as one stage changes something", () => {
+    assert.equal(isColorPipelineActive({ ...NEUTRAL, gamma: 2.2 }), true);
+    assert.equal(isColorPipelineActive({ ...NEUTRAL, brightness: 0.5 }), true);
+    assert.equal(isColorPipelineActive({ ...NEUTRAL, colorTemperature: 3000 }), true);
+    assert.equal(isColorPipelineActive({ ...NEUTRAL, bitsB: 5 }), true);
+  });
+
+  it("warms the white point below 6500 K", () => {
+    const [r, g, b] = whiteBalanceGains({ ...NEUTRAL, colorTemperature: 3000 });
+    assert.equal(r, 1);
+    assert.ok(g < 1 && b < g);
+  });
+
+  it("scales brightness and leaves alpha alone", () => {
+    const img = _ramp(3);
+    applyColorPipeline(img, { ...NEUTRAL, brightness: 0.5 });
+    assert.deepEqual(Array.from(img.data), [0, 64, 0, 200, 64, 64, 0, 200, 128, 64, 0, 200]);
+  });
+
+  it("reduces the colour depth to the given bits", () => {
+    const img = _ramp(256);
+    applyColorPipeline(img, { ...NEUTRAL, bitsR: 2, bitsG: 2, bitsB: 2 });
+    const reds = new Set();
+    for (let i = 0; i < img.data.length; i += 4) reds.add(img.data[i]);
+    assert.deepEqual([...reds].sort((a, b) => a - b), [0, 85, 170, 255]);
+  });
+
+  it("dithers to the same levels", () => {
+    for (const dither of ["ordered", "floyd-steinberg"]) {
+      const img = _ramp(64);
+      applyColorPipeline(img, { ...NEUTRAL, bitsR: 1, dither });
+      for (let i = 0; i < img.data.length; i += 4) assert.ok(img.data[i] === 0 || img.data[i] === 255, dither);
+    }
+  });
+});
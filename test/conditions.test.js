@@ -0,0 +1,63 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCondition, evalCondition } = require("../lib/conditions");
+
+describe("parseCondition", () => {
+  it("returns null for an empty condition", () => {
+    assert.equal(parseCondition(""), null);
+    assert.equal(parseCondition("   "), null);
+  });
+
+  it("treats a bare state id as a truthiness check", () => {
+    assert.deepEqual(parseCondition("javascript.0.away"), { stateId: "javascript.0.away", op: "truthy", value: null });
+  });
+
+  it("parses every operator, with or without spaces", () => {
+    for (const op of ["==", "!=", ">=", "<=", ">", "<"]) {
+      assert.deepEqual(parseCondition(`a.0.x ${op} 5`), { stateId: "a.0.x", op, value: "5" });
+      assert.deepEqual(parseCondition(`a.0.x${op}5`), { stateId: "a.0.x", op, value: "5" });
+    }
+  });
+
+  it("strips quotes around the value", () => {
+    assert.equal(parseCondition("a.0.mode == 'away mode'").value, "away mode");
+    assert.equal(parseCondition('a.0.mode != "idle"').value, "idle");
+  });
+});
+
+describe("evalCondition", () => {
+  const ev = (raw, val) => evalCondition(parseCondition(raw), val);
+
+  it("passes without a condition", () => {
+    assert.equal(evalCondition(null, undefined), true);
+  });
+
+  it("evaluates truthiness like ioBroker states", () => {
+    for (const v of [true, 1, "on", "yes"]) assert.equal(ev("s", v), true, String(v));
+    for (const v of [false, 0, "", "0", "false", "off", "OFF", null, undefined]) assert.equal(ev("s", v), false, String(v));
+  });
+
+  it("compares numbers numerically", () => {
+    assert.equal(ev("s > 9", 10), true);
+    assert.equal(ev("s > 9", "10"), true);
+    assert.equal(ev("s <= 2.5", 2.5), true);
+    assert.equal(ev("s == 1", "1.0"), true);
+  });
+
+  it("compares booleans and strings", () => {
+    assert.equal(ev("s == true", true), true);
+    assert.equal(ev("s == true", "true"), true);
+    assert.equal(ev("s == false", 0), false);
+    assert.equal(ev("s == idle", "idle"), true);
+    assert.equal(ev("s != idle", "busy"), true);
+  });
+
+  it("treats unknown values as not matching, except for !=", () => {
+    assert.equal(ev("s == 1", null), false);
+    assert.equal(ev("s > 1", undefined), false);
+    assert.equal(ev("s != 1", null), true);
+  });
+});
@@ -0,0 +1,136 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeConfig } = require("../lib/config");
+
+describe("normalizeConfig", () => {
+  it("fills defaults for an empty config", () => {
+    const c = normalizeConfig({});
+    assert.equal(c.listenHost, "0.0.0.0");
+    assert.equal(c.listenPort, 8787);
+    assert.equal(c.canvasWidth, 384);
+    assert.equal(c.canvasHeight, 64);
+    assert.equal(c.maxActiveViews, 2);
+    assert.equal(c.activationPolicy, "reject");
+    assert.equal(c.secure, false);
+    assert.equal(c.plainPort, 0);
+    assert.deepEqual(c.views, []);
+    assert.deepEqual(c.alerts, []);
+  });
+
+  it("clamps numbers and rejects unknown choices", () => {
+    const c = normalizeConfig({
+      listenPort: 99999,
+      maxActiveViews: 0,
+      captureMinIntervalMs: 10,
+      captureMaxIntervalMs: 5,
+      activationPolicy: "lifo",
+    });
+    assert.equal(c.listenPort, 65535);
+    assert.equal(c.maxActiveViews, 1);
+    assert.equal(c.captureMinIntervalMs, 50);
+    assert.equal(c.captureMaxIntervalMs, 50);
+    assert.equal(c.activationPolicy, "reject");
+  });
+
+  it("keeps plainPort only next to HTTPS on another port", () => {
+    assert.equal(normalizeConfig({ plainPort: 8080 }).plainPort, 0);
+    assert.equal(normalizeConfig({ secure: true, plainPort: 8787 }).plainPort, 0);
+    assert.equal(normalizeConfig({ secure: true, plainPort: 8080 }).plainPort, 8080);
+  });
+
+  it("drops views without id or url and parses their options", () => {
+    const c = normalizeConfig({
+      canvasWidth: 128,
+      views: [
+        { id: "", url: "http://x/" },
+        { id: "a" },
+        { id: "b", url: "http://x/", busyFps: 99, renderScale: 2, clip: "0, 0, 64, 32", gamma: "", brightness: 50 },
+      ],
+    });
+    assert.deepEqual(c.views.map((v) => v.id), ["b"]);
+    const v = c.views[0];
+    assert.equal(v.busyFps, 20);
+    assert.equal(v.renderScale, 2);
+    assert.deepEqual(v.clip, { x: 0, y: 0, width: 64, height: 32 });
+    assert.equal(v.color.gamma, 1);
+    assert.equal(v.color.brightness, 0.5);
+  });
+
+  it("renders template views from an internal url", () => {
+    const c = normalizeConfig({ views: [{ id: "clk", template: "clock", bindings: "locale='de'" }] });
+    assert.equal(c.views[0].url, "http://home-banner.template/clk");
+    assert.ok(c.views[0].template.html.includes("{{time}}"));
+    assert.deepEqual(c.views[0].bindings, { states: {}, values: { locale: "de" } });
+  });
+
+  it("picks a view's login by id or by origin", () => {
+    const c = normalizeConfig({
+      logins: [
+        { id: "web", origin: "http://iob:8082/vis", username: "u", password: "p" },
+        { id: "web", origin: "http://other" },
+        { id: "off", enabled: false },
+      ],
+      views: [
+        { id: "a", url: "http://iob:8082/vis/index.html" },
+        { id: "b", url: "http://x/", login: "web" },
+        { id: "c", url: "http://x/", login: "off" },
+      ],
+    });
+    assert.deepEqual(c.logins.map((l) => [l.id, l.origin]), [["web", "http://iob:8082"]]);
+    assert.deepEqual(c.views.map((v) => v.login), ["web", "web", ""]);
+  });
+
+  it("skips disabled tokens and tokens equal to authToken", () => {
+    const c = normalizeConfig({
+      authToken: "admin",
+      tokens: [
+        { token: "admin" },
+        { token: "t1", views: "a, b", status: true, expires: "2030-01-01" },
+        { token: "t2", enabled: false },
+        { token: "t3", expires: "someday" },
+      ],
+    });
+    assert.deepEqual(
+      c.tokens.map((t) => [t.name, t.views, t.status, t.control]),
+      [
+        ["token1", ["a", "b"], true, false],
+        ["token2", [], false, false],
+      ],
+    );
+    assert.equal(c.tokens[0].expiresTs, Date.parse("2030-01-01"));
+    assert.equal(c.tokens[1].expiresTs, 0);
+  });
+
+  it("parses playlist entries and drops ids that clash with views", () => {
+    const c = normalizeConfig({
+      views: [{ id: "clock", url: "http://x/" }],
+      playlists: [
+        { id: "clock", entries: "clock:5" },
+        { id: "p", entries: "clock:5, weather if 0_userdata.0.w; energy:0.2 if javascript.0.pv > 100" },
+      ],
+    });
+    assert.deepEqual(c.playlists.map((p) => p.id), ["p"]);
+    assert.deepEqual(
+      c.playlists[0].entries.map((e) => [e.viewId, e.durationMs, e.conditionText]),
+      [
+        ["clock", 5000, ""],
+        ["weather", 10000, "0_userdata.0.w"],
+        ["energy", 1000, "javascript.0.pv > 100"],
+      ],
+    );
+  });
+
+  it("reads bare alert condition values and a single = as ==", () => {
+    const cond = (condition) => normalizeConfig({ alerts: [{ stateId: "s.0.x", viewId: "v", condition }] }).alerts[0];
+    for (const text of ["5", "= 5", "=5", "== 5"]) {
+      assert.equal(cond(text).conditionText, "== 5", text);
+      assert.deepEqual(cond(text).condition, { stateId: "s.0.x", op: "==", value: "5" }, text);
+    }
+    assert.equal(cond("!= idle").conditionText, "!= idle");
+    assert.equal(cond(">= 3").condition.op, ">=");
+    assert.equal(cond("").condition.op, "truthy");
+  });
+});
@@ -0,0 +1,92 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { encodePng } = require("../lib/png");
+const { computeDirtyRects, buildKeyframe, buildDelta } = require("../lib/delta");
+
+function _rgba(width, height, fill) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(fill, i);
+  return data;
+}
+
+function _setPixel(data, width, x, y, px) {
+  data.set(px, (y * width + x) * 4);
+}
+
+function _frame(width, height, data, etag) {
+  return { png: encodePng({ width, height, data }), etag, ts: 1 };
+}
+
+describe("computeDirtyRects", () => {
+  it("returns nothing for identical frames", () => {
+    const a = _rgba(32, 16, [1, 2, 3, 255]);
+    assert.deepEqual(computeDirtyRects(a, Buffer.from(a), 32, 16), []);
+  });
+
+  it("marks only the changed tile", () => {
+    const a = _rgba(32, 16, [0, 0, 0, 255]);
+    const b = Buffer.from(a);
+    _setPixel(b, 32, 9, 2, [255, 255, 255, 255]);
+    assert.deepEqual(computeDirtyRects(a, b, 32, 16), [[8, 0, 8, 8]]);
+  });
+
+  it("merges horizontal runs and identical runs on consecutive tile rows", () => {
+    const a = _rgba(32, 16, [0, 0, 0, 255]);
+    const b = Buffer.from(a);
+    for (const [x, y] of [
+      [1, 1],
+      [9, 1],
+      [1, 9],
+      [9, 9],
+    ]) {
+      _setPixel(b, 32, x, y, [255, 0, 0, 255]);
+    }
+    assert.deepEqual(computeDirtyRects(a, b, 32, 16), [[0, 0, 16, 16]]);
+  });
+
+  it("clips edge tiles to the frame size", () => {
+    const a = _rgba(10, 10, [0, 0, 0, 255]);
+    const b = Buffer.from(a);
+    _setPixel(b, 10, 9, 9, [1, 1, 1, 255]);
+    assert.deepEqual(computeDirtyRects(a, b, 10, 10), [[8, 8, 2, 2]]);
+  });
+});
+
+describe("buildDelta", () => {
+  const base = _frame(16, 8, _rgba(16, 8, [0, 0, 0, 255]), '"a"');
+  const changed = _rgba(16, 8, [0, 0, 0, 255]);
+  _setPixel(changed, 16, 12, 3, [255, 0, 0, 255]);
+  const frame = _frame(16, 8, changed, '"b"');
+
+  it("carries the changed rectangles and their pixels", () => {
+    const d = buildDelta("v", base, frame, "rgb888", 4);
+    assert.equal(d.header.type, "delta");
+    assert.equal(d.header.base, '"a"');
+    assert.equal(d.header.etag, '"b"');
+    assert.deepEqual(d.header.rects, [[12, 0, 4, 4]]);
+    assert.equal(d.payload.length, 4 * 4 * 3);
+    // (12,3) is row 3, column 0 of the rectangle.
+    assert.deepEqual(Array.from(d.payload.subarray(3 * 4 * 3, 3 * 4 * 3 + 3)), [255, 0, 0]);
+  });
+
+  it("falls back to a keyframe without a usable base", () => {
+    assert.equal(buildDelta("v", null, frame, "rgb565").header.type, "key");
+    assert.equal(buildDelta("v", frame, frame, "rgb565").header.type, "key");
+    const other = _frame(8, 8, _rgba(8, 8, [0, 0, 0, 255]), '"c"');
+    assert.equal(buildDelta("v", other, frame, "rgb565").header.type, "key");
+  });
+
+  it("rejects formats without delta support", () => {
+    assert.equal(buildDelta("v", base, frame, "png"), null);
+  });
+
+  it("builds full RGB565 keyframes", () => {
+    const k = buildKeyframe("v", frame, "rgb565");
+    assert.equal(k.header.width, 16);
+    assert.equal(k.payload.length, 16 * 8 * 2);
+    assert.equal(k.payload.readUInt16LE((3 * 16 + 12) * 2), 0xf800);
+  });
+});
@@ -0,0 +1,105 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PlaylistRunner } = require("../lib/playlist");
+const { parseCondition } = require("../lib/conditions");
+
+function _sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function _runner(entries, opts = {}) {
+  const switches = [];
+  const pl = new PlaylistRunner({
+    playlist: { id: "p", entries },
+    log: { warn: () => {} },
+    getStateValue: opts.getStateValue || (() => null),
+    isViewAvailable: opts.isViewAvailable || (() => true),
+    onSwitch: async (prev, next) => {
+      switches.push(`${prev}>${next}`);
+      if (opts.onSwitch) await opts.onSwitch(prev, next);
+    },
+  });
+  return { pl, switches };
+}
+
+describe("PlaylistRunner", () => {
+  it("rotates through the entries with their durations", async () => {
+    const { pl, switches } = _runner([
+      { viewId: "a", durationMs: 40 },
+      { viewId: "b", durationMs: 40 },
+    ]);
+    await pl.start();
+    assert.equal(pl.current(), "a");
+    await _sleep(100);
+    await pl.stop();
+    assert.deepEqual(switches.slice(0, 3), [">a", "a>b", "b>a"]);
+    assert.ok(switches[switches.length - 1].endsWith(">"));
+    assert.equal(pl.current(), "");
+  });
+
+  it("skips unavailable entries and entries whose condition is false", async () => {
+    const { pl } = _runner(
+      [
+        { viewId: "off", durationMs: 1000 },
+        { viewId: "cond", durationMs: 1000, condition: parseCondition("s.0.x == 1") },
+        { viewId: "c", durationMs: 1000 },
+      ],
+      { isViewAvailable: (id) => id !== "off", getStateValue: () => 0 },
+    );
+    assert.equal(pl.peek(), "c");
+    await pl.start();
+    assert.equal(pl.current(), "c");
+    await pl.stop();
+  });
+
+  it("leaves an entry on refresh once its condition turns false", async () => {
+    let val = 1;
+    const { pl } = _runner(
+      [
+        { viewId: "a", durationMs: 1000, condition: parseCondition("s.0.x") },
+        { viewId: "b", durationMs: 1000 },
+      ],
+      { getStateValue: () => val },
+    );
+    await pl.start();
+    assert.equal(pl.current(), "a");
+    val = 0;
+    await pl.refresh();
+    assert.equal(pl.current(), "b");
+    await pl.stop();
+  });
+
+  it("never overlaps onSwitch calls", async () => {
+    let val = true;
+    let inflight = 0;
+    let maxInflight = 0;
+    const { pl, switches } = _runner(
+      [
+        { viewId: "a", durationMs: 20, condition: parseCondition("s.0.x") },
+        { viewId: "b", durationMs: 20 },
+      ],
+      {
+        getStateValue: () => val,
+        onSwitch: async () => {
+          maxInflight = Math.max(maxInflight, ++inflight);
+          await _sleep(15);
+          inflight--;
+        },
+      },
+    );
+    await pl.start();
+    for (let i = 0; i < 8; i++) {
+      val = !val;
+      pl.refresh();
+      await _sleep(5);
+    }
+    await _sleep(80);
+    await pl.stop();
+    assert.equal(maxInflight, 1);
+    // Each switch starts from the view the previous one switched to.
+    for (let i = 1; i < switches.length; i++) assert.equal(switches[i].split(">")[0], switches[i - 1].split(">")[1]);
+  });
+});
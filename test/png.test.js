@@ -0,0 +1,69 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("node:zlib");
+
+const { decodePng, encodePng, encodeApng, pngSize } = require("../lib/png");
+
+function _img(width, height, fn) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data.set(fn(x, y), (y * width + x) * 4);
+  }
+  return { width, height, data };
+}
+
+describe("png", () => {
+  it("round-trips RGBA pixels", () => {
+    const img = _img(5, 3, (x, y) => [x * 50, y * 100, (x + y) * 20, 255 - x]);
+    const out = decodePng(encodePng(img));
+    assert.equal(out.width, 5);
+    assert.equal(out.height, 3);
+    assert.deepEqual(Buffer.from(out.data), img.data);
+  });
+
+  it("reads the size without decoding", () => {
+    assert.deepEqual(pngSize(encodePng(_img(384, 64, () => [0, 0, 0, 255]))), { width: 384, height: 64 });
+    assert.equal(pngSize(Buffer.from("not a png")), null);
+  });
+
+  it("decodes filtered RGB scanlines", () => {
+    // 2x2 RGB, row 0 filter Sub, row 1 filter Up.
+    const raw = Buffer.from([1, 10, 20, 30, 5, 5, 5, 2, 1, 1, 1, 2, 2, 2]);
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(2, 0);
+    ihdr.writeUInt32BE(2, 4);
+    ihdr[8] = 8;
+    ihdr[9] = 2;
+    const png = _rawPng(ihdr, zlib.deflateSync(raw));
+    const out = decodePng(png);
+    assert.deepEqual(Array.from(out.data), [10, 20, 30, 255, 15, 25, 35, 255, 11, 21, 31, 255, 17, 27, 37, 255]);
+  });
+
+  it("keeps the first frame's size in APNGs", () => {
+    const a = _img(4, 2, () => [255, 0, 0, 255]);
+    const b = _img(4, 2, () => [0, 255, 0, 255]);
+    const apng = encodeApng([
+      { ...a, delayMs: 100 },
+      { ...b, delayMs: 100 },
+    ]);
+    assert.ok(apng.includes(Buffer.from("acTL")));
+    assert.deepEqual(Array.from(decodePng(apng).data.subarray(0, 4)), [255, 0, 0, 255]);
+  });
+});
+
+function _rawPng(ihdr, idat) {
+  const chunk = (type, data) => {
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(data.length, 0);
+    const td = Buffer.concat([Buffer.from(type, "ascii"), data]);
+    return Buffer.concat([len, td, Buffer.alloc(4)]); // CRC is not checked by the decoder
+  };
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", idat),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
@@ -0,0 +1,52 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resizeArea, scaleNearest } = require("../lib/resample");
+
+function _img(width, height, pixels) {
+  return { width, height, data: Buffer.from(pixels.flat()) };
+}
+
+describe("resizeArea", () => {
+  it("returns the image itself at the target size", () => {
+    const img = _img(1, 1, [[1, 2, 3, 4]]);
+    assert.equal(resizeArea(img, 1, 1), img);
+  });
+
+  it("averages 2x2 blocks when halving", () => {
+    const img = _img(2, 2, [
+      [0, 0, 0, 255],
+      [100, 0, 0, 255],
+      [200, 0, 0, 255],
+      [100, 40, 0, 255],
+    ]);
+    assert.deepEqual(Array.from(resizeArea(img, 1, 1).data), [100, 10, 0, 255]);
+  });
+
+  it("weights partially covered source pixels (fractional scale)", () => {
+    // 3 -> 2: each destination pixel covers 1.5 source pixels.
+    const img = _img(3, 1, [
+      [0, 0, 0, 255],
+      [90, 0, 0, 255],
+      [180, 0, 0, 255],
+    ]);
+    const out = resizeArea(img, 2, 1);
+    assert.deepEqual([out.data[0], out.data[4]], [30, 150]);
+  });
+});
+
+describe("scaleNearest", () => {
+  it("replicates every pixel into a factor x factor block", () => {
+    const img = _img(2, 1, [
+      [1, 2, 3, 4],
+      [5, 6, 7, 8],
+    ]);
+    const out = scaleNearest(img, 2);
+    assert.equal(out.width, 4);
+    assert.equal(out.height, 2);
+    const row = [1, 2, 3, 4, 1, 2, 3, 4, 5, 6, 7, 8, 5, 6, 7, 8];
+    assert.deepEqual(Array.from(out.data), [...row, ...row]);
+  });
+});